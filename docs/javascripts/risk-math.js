@@ -0,0 +1,67 @@
+// CSharpMT5 — Position size from risk, as MT5Sugar computes it
+//
+// The math behind the risk calculator in ux.js, kept apart so it can be tested
+// against MT5Sugar.cs: CalcVolumeForRiskAsync, then NormalizeVolumeAsync.
+// Loaded before ux.js (mkdocs.yml) and required by docs_tests/.
+
+// Checked in this order, so the first bad field is the one reported
+const RISK_INPUT_KEYS = [
+  'balance', 'riskPercent', 'slPoints', 'point', 'tickSize', 'tickValue',
+  'volumeMin', 'volumeStep', 'volumeMax'
+];
+
+// NormalizeVolumeAsync's safety net for a broker that reports no step
+const RISK_FALLBACK_VOLUME_STEP = 0.01;
+
+// .NET Math.Round sends x.5 to the even neighbour; Math.round always goes up
+function roundHalfToEven(value) {
+  const rounded = Math.round(value);
+  return Math.abs(value % 1) === 0.5 && rounded % 2 !== 0 ? rounded - 1 : rounded;
+}
+
+// Errors come back as { error: key } - the caller words them, see risk.error.* in ux.js
+function calculateRiskVolume(inputs) {
+  const invalid = RISK_INPUT_KEYS.find(key => !isFinite(inputs[key]));
+  if (invalid) return { error: 'notNumber', field: invalid };
+
+  // Same guards as CalcVolumeForRiskAsync
+  const riskMoney = inputs.balance * inputs.riskPercent / 100;
+  if (inputs.slPoints <= 0) return { error: 'slPoints' };
+  if (riskMoney <= 0) return { error: 'riskMoney' };
+  if (inputs.tickSize <= 0) return { error: 'tickSize' };
+
+  const lossPerLot = (inputs.slPoints * inputs.point / inputs.tickSize) * inputs.tickValue;
+  if (lossPerLot <= 0) return { error: 'lossPerLot' };
+
+  const rawVolume = riskMoney / lossPerLot;
+
+  // NormalizeVolumeAsync: snap to min + n * step, then clamp to [min, max]
+  const stepFallback = inputs.volumeStep <= 0;
+  const step = stepFallback ? RISK_FALLBACK_VOLUME_STEP : inputs.volumeStep;
+  const steps = roundHalfToEven((rawVolume - inputs.volumeMin) / step);
+  const snapped = inputs.volumeMin + steps * step;
+  const volume = Math.max(inputs.volumeMin, Math.min(inputs.volumeMax, snapped));
+
+  // Flag when the broker limits, not the risk, decided the volume
+  let clamped = null;
+  if (rawVolume < inputs.volumeMin) clamped = 'min';
+  else if (rawVolume > inputs.volumeMax) clamped = 'max';
+
+  return {
+    riskMoney: riskMoney,
+    lossPerLot: lossPerLot,
+    rawVolume: rawVolume,
+    step: step,
+    stepFallback: stepFallback,
+    steps: steps,
+    snapped: snapped,
+    volume: volume,
+    clamped: clamped,
+    actualRisk: volume * lossPerLot
+  };
+}
+
+// Browsers get the functions as globals; Node loads this file as a module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RISK_INPUT_KEYS, roundHalfToEven, calculateRiskVolume };
+}
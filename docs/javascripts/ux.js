@@ -2,20 +2,1000 @@
 document.addEventListener('DOMContentLoaded', function() {
   console.log('CSharpMT5 Documentation loaded');
 
+  // Site-wide widgets live outside the page content and are created once
+
+  // Keyboard handling shared by panels and modals, screen reader announcements
+  initDialogs();
+
   // Initialize Progress Tracker
   initProgressTracker();
 
   // Initialize Contact Panel
   initContactPanel();
+
+  // Initialize RetCode Lookup
+  initRetCodeLookup();
+
+  // Initialize Protobuf Inspector
+  initProtobufInspector();
+
+  // Initialize Command Palette (Ctrl/Cmd+K)
+  initCommandPalette();
+
+  // Initialize Bookmarks & Notes panel
+  initBookmarks();
+
+  // Offline docs (service worker)
+  initOfflineDocs();
+
+  // Page widgets mount for every page, including instant navigation
+
+  // Page visit, reading session and progress display
+  onPageMount(mountProgressPage);
+
+  // Glossary Cards
+  onPageMount(mountGlossaryCards);
+
+  // Cross-Layer Method Navigator
+  onPageMount(mountLayerNavigator);
+
+  // Risk Calculators embedded in pages
+  onPageMount(mountRiskCalculators);
+
+  // Bookmark toggles on section headings
+  onPageMount(mountBookmarkToggles);
+
+  // Self-check quizzes declared in pages
+  onPageMount(mountQuizzes);
+
+  // "Available offline" markers in the sidebar
+  onPageMount(mountOfflineMarkers);
+
+  // Orchestrator order charts declared in pages
+  onPageMount(mountOrchestratorCharts);
+
+  // appsettings.json builders on the setup pages
+  onPageMount(mountConfigBuilders);
+
+  // Reader's own values in marked code sample literals
+  onPageMount(mountSnippetVariables);
+
+  startPageLifecycle();
 });
 
+// ============================================================================
+// PAGE LIFECYCLE - One mount/unmount cycle per page, full load or instant nav
+// ============================================================================
+
+const pageLifecycle = {
+  handlers: [],
+  unmounts: [],
+  page: null
+};
+
+// handler(page) runs for every page; it may return a function that undoes it
+function onPageMount(handler) {
+  pageLifecycle.handlers.push(handler);
+  if (pageLifecycle.page) mountPageHandler(handler, pageLifecycle.page);
+}
+
+function startPageLifecycle() {
+  // Material emits document$ on the first load and after each instant navigation
+  if (window.document$ && typeof window.document$.subscribe === 'function') {
+    window.document$.subscribe(handlePageChange);
+  } else {
+    handlePageChange();
+  }
+}
+
+function handlePageChange() {
+  // Same document reported twice, or only the hash changed - nothing to do
+  const url = window.location.pathname;
+  if (pageLifecycle.page && pageLifecycle.page.url === url) return;
+
+  unmountPage();
+
+  // Async work checks page.active so late results never land on the next page
+  const page = {
+    url: url,
+    path: getCurrentPagePath(),
+    article: document.querySelector('.md-content .md-content__inner'),
+    active: true
+  };
+  pageLifecycle.page = page;
+  pageLifecycle.handlers.forEach(handler => mountPageHandler(handler, page));
+}
+
+function mountPageHandler(handler, page) {
+  try {
+    const unmount = handler(page);
+    if (typeof unmount === 'function') pageLifecycle.unmounts.push(unmount);
+  } catch (error) {
+    console.error('Page widget failed to mount:', error);
+  }
+}
+
+function unmountPage() {
+  if (!pageLifecycle.page) return;
+
+  pageLifecycle.page.active = false;
+  pageLifecycle.unmounts.splice(0).reverse().forEach(unmount => {
+    try {
+      unmount();
+    } catch (error) {
+      console.error('Page widget failed to unmount:', error);
+    }
+  });
+}
+
+// ============================================================================
+// SITE CONFIG - Settings from mkdocs.yml (extra.ux), see includes/main.html
+// ============================================================================
+
+let uxConfigCache = null;
+
+function getUxConfig() {
+  if (uxConfigCache) return uxConfigCache;
+
+  uxConfigCache = {};
+  const configElement = document.getElementById('ux-config');
+  if (configElement) {
+    try {
+      uxConfigCache = JSON.parse(configElement.textContent) || {};
+    } catch (e) {
+      console.error('Failed to parse docs UX config:', e);
+    }
+  }
+  return uxConfigCache;
+}
+
+// Build stamp from includes/main.html; changes with every deploy
+function getDocsBuild() {
+  const meta = document.querySelector('meta[name="docs-build"]');
+  return meta ? meta.content : '';
+}
+
+function withDocsBuild(url) {
+  // Bypasses copies of build output cached under an older deploy
+  const build = getDocsBuild();
+  return build ? url + '?v=' + encodeURIComponent(build) : url;
+}
+
+function getPageUxConfig() {
+  // Front matter `ux:` block of the current page (read fresh: it is per page)
+  const configElement = document.getElementById('ux-page-config');
+  if (!configElement) return {};
+
+  try {
+    return JSON.parse(configElement.textContent) || {};
+  } catch (e) {
+    console.error('Failed to parse page UX config:', e);
+    return {};
+  }
+}
+
+// ============================================================================
+// LOCALIZATION - UI string catalogue and translated page variants
+// ============================================================================
+
+const UX_LANGUAGES = {
+  en: 'English',
+  ru: 'Русский'
+};
+const DEFAULT_UX_LANGUAGE = 'en';
+const UX_LANGUAGE_KEY = 'csharpmt5_docs_language';
+
+// Translated pages are saved as `<page>.<language>.md`, e.g.
+// Your_First_Project.ru.md; the unsuffixed page is the English one
+const PAGE_LANGUAGE_PATTERN = /\.(ru)$/;
+
+// {name} is replaced from params; entries with plural forms are picked by
+// params.count (Intl.PluralRules categories). Missing strings fall back to English.
+// Labels kept next to their data (learning paths, categories, palette groups,
+// calculator fields, quiz kinds) are only listed for translations.
+const UX_STRINGS = {
+  en: {
+    'common.close': 'Close',
+    'language.label': 'Language',
+
+    'progress.button': 'Learning Progress',
+    'progress.title': '📊 Learning Progress',
+    'progress.announce': 'Reading progress: {percentage}%',
+    'progress.downloadBackup': 'Download backup',
+    'progress.dismiss': 'Dismiss',
+    'progress.pagesRead': 'Pages Read',
+    'progress.pagesReadSkimmed': 'Pages Read · {count} skimmed',
+    'progress.learningPath': 'Learning Path',
+    'progress.pathProgress': 'Path progress',
+    'progress.byCategory': 'By Category',
+    'progress.categorySkimmed': '{count} skimmed',
+    'progress.categorySkimmedQuiz': '{count} skimmed, required quiz counts as one step',
+    'progress.staleTitle': 'Stale Entries',
+    'progress.staleText': {
+      one: '{count} visited page no longer exists and is not counted.',
+      other: '{count} visited pages no longer exist and are not counted.'
+    },
+    'progress.staleRemove': 'Remove stale entries',
+    'progress.updatedTitle': 'Updated Since You Read Them',
+    'progress.updatedText': {
+      one: '{count} page you read has changed since.',
+      other: '{count} pages you read have changed since.'
+    },
+    'progress.updatedTextReread': {
+      one: '{count} page you read has changed and counts as unread until you read it again.',
+      other: '{count} pages you read have changed and count as unread until you read them again.'
+    },
+    'progress.export': 'Export',
+    'progress.exportTitle': 'Download your progress as a JSON file',
+    'progress.import': 'Import',
+    'progress.importTitle': 'Merge progress from an exported JSON file',
+    'progress.reset': 'Reset Progress',
+    'progress.resetConfirm': 'Are you sure you want to reset all progress? Bookmarks and notes are kept.',
+    'progress.state.unvisited': 'Not visited',
+    'progress.state.skimmed': 'Skimmed',
+    'progress.state.read': 'Read',
+    'nav.groupProgress': '{read} of {total} pages read, {skimmed} skimmed',
+    'nav.sectionSeen': 'Section seen',
+    'nav.sectionUnseen': 'Section not seen yet',
+    'updates.badge': 'updated since you read it',
+    'updates.notice': '📝 This page was updated since you read it.',
+    'updates.noticeReread': '📝 This page was updated since you read it and counts as unread until you read it again.',
+    'updates.reviewed': 'Mark as reviewed',
+    'progress.pageStatus': 'This page: {state} · {scroll}% scrolled · {seconds}s active · {sections}% of sections seen',
+
+    'path.next': 'Next: {title} →',
+    'path.cardLabel': '{path} · {completed} / {total} read',
+    'path.continue': 'Continue: {title} →',
+    'path.complete': 'Path complete 🎉 Pick another path',
+
+    'notice.newerVersion': 'Progress was saved by a newer version of these docs. Some details may not show.',
+    'notice.recovered': {
+      one: 'Saved progress was damaged. Recovered {count} visited page; read status could not be restored. The original data is kept as a backup.',
+      other: 'Saved progress was damaged. Recovered {count} visited pages; read status could not be restored. The original data is kept as a backup.'
+    },
+    'notice.backupStored': 'A backup of damaged progress data is still stored in this browser.',
+    'notice.discardBackup': 'Discard the backup of the damaged progress data?',
+    'import.invalidJson': '"{file}" is not valid JSON. Nothing was imported.',
+    'import.wrongFormat': '"{file}" is not a CSharpMT5 docs progress export. Nothing was imported.',
+    'import.noData': '"{file}" has no readable progress data. Nothing was imported.',
+    'import.readFailed': 'Could not read "{file}".',
+    'import.success': 'Imported {pages} ({read} read) and {bookmarks}, and merged them with this browser\'s progress.',
+    'import.pages': { one: '{count} visited page', other: '{count} visited pages' },
+    'import.bookmarks': { one: '{count} bookmark', other: '{count} bookmarks' },
+
+    'milestone.title': 'Milestone Reached!',
+    'milestone.message': 'Great progress!',
+    'milestone.continue': 'Continue Learning',
+
+    'contact.button': 'Contact & Support',
+    'contact.title': '💬 Contact & Support',
+    'contact.needHelp': 'Need Help?',
+    'contact.intro': 'Have questions about CSharpMT5 SDK? Reach out to us through your preferred messenger!',
+    'contact.channel.telegram': 'Quick responses & community chat',
+    'contact.channel.whatsapp': 'Direct messaging & voice calls',
+    'contact.channel.github_discussions': 'Community support & Q&A',
+    'contact.channel.github_issues': 'Bug reports & documentation fixes',
+    'contact.channel.email': 'Business inquiries & partnerships',
+    'contact.noChannels': 'No contact channels are configured for this site. You can still compose a request below and copy it.',
+    'contact.composerTitle': '📝 Compose a Support Request',
+    'contact.composerHint': 'Page and environment details are filled in for you. Nothing is sent until you choose where it goes.',
+    'contact.summary': 'Summary',
+    'contact.layer': 'SDK layer',
+    'contact.notSure': 'Not sure',
+    'contact.retcode': 'RetCode seen',
+    'contact.details': 'What happened?',
+    'contact.detailsPlaceholder': 'Steps, expected vs actual result, code snippet…',
+    'contact.preview': 'Preview',
+    'contact.openIssue': 'Open GitHub issue',
+    'contact.sendEmail': 'Send by email',
+    'contact.copy': 'Copy',
+    'contact.copied': 'Copied to clipboard.',
+    'contact.copyFailed': 'Copy failed - the text is selected, press Ctrl+C.',
+
+    'retcode.button': 'RetCode Lookup',
+    'retcode.title': '🔢 RetCode Lookup',
+    'retcode.hint': 'Type a numeric code or part of a TRADE_RETCODE_* name.',
+    'retcode.loading': 'Loading return codes…',
+    'retcode.loaded': { one: '{count} code from the Return Codes reference.', other: '{count} codes from the Return Codes reference.' },
+    'retcode.failed': 'Could not load the Return Codes reference.',
+    'retcode.empty': 'No matching return code.',
+    'retcode.handling': 'Handling:',
+    'retcode.kind.success': 'Operation went through. Read the order/deal ticket from the result.',
+    'retcode.kind.requote': 'Price moved. Refresh the quote and resend the request.',
+    'retcode.kind.rejection': 'Fix the request parameters before resending - an unchanged retry fails again.',
+    'retcode.kind.restriction': 'Trading is not allowed right now. Check symbol/account permissions and trading hours.',
+    'retcode.kind.resource': 'A limit was hit. Reduce volume or free margin/orders/positions first.',
+    'retcode.kind.technical': 'Usually transient. Back off, check the connection and retry.',
+    'retcode.kind.state': 'The order or position changed meanwhile. Re-read its state before acting again.',
+    'retcode.viewInReference': 'View in reference →',
+
+    'protobuf.button': 'Protobuf Inspector',
+    'protobuf.title': '🔍 Protobuf Inspector',
+    'protobuf.placeholder': 'AccountSummaryData, field Ticket, enum ORDER_TYPE',
+    'protobuf.hint': 'Search type names, field names or enum values. Commands: {commands}.',
+    'protobuf.loading': 'Loading type index…',
+    'protobuf.unavailable': 'The type index is not available in this build of the docs.',
+    'protobuf.empty': 'No matching types, fields or enum values.',
+    'protobuf.showing': 'Showing {limit} of {count} types',
+    'protobuf.count': { one: '{count} type', other: '{count} types' },
+    'protobuf.noFields': '(no fields)',
+    'protobuf.docsLink': '{title} in MT5Account docs →',
+
+    'glossary.hint': 'Open the term for the full glossary entry',
+    'layers.title': '🔀 Same operation in other layers',
+    'layers.titleFor': '🔀 {method} in other layers',
+
+    'palette.label': 'Command palette',
+    'palette.placeholder': 'Jump to a page, method, type, RetCode or term…',
+    'palette.results': 'Results',
+    'palette.help': 'navigate · {enter} open · {esc} close',
+    'palette.loading': 'Loading index…',
+    'palette.noMatches': 'No matches.',
+    'palette.count': { one: '{count} result', other: '{count} results' },
+    'palette.recent': 'Recently Visited',
+
+    'risk.title': '🧮 Position size calculator',
+    'risk.error.notNumber': '{field} must be a number.',
+    'risk.error.slPoints': 'Stop loss must be greater than 0 points.',
+    'risk.error.riskMoney': 'Risk amount must be greater than 0.',
+    'risk.error.tickSize': 'Tick size is 0 - the broker did not report it.',
+    'risk.error.lossPerLot': 'Loss per lot is 0 - check point size and tick value.',
+    'risk.step.riskMoney': 'Risk money = {balance} × {percent}% = {riskMoney}',
+    'risk.step.lossPerLot': 'Loss per lot = {slPoints} pts × {point} / {tickSize} × {tickValue} = {lossPerLot}',
+    'risk.step.rawVolume': 'Raw volume = {riskMoney} / {lossPerLot} = {rawVolume} lots',
+    'risk.step.steps': 'Steps from min = round(({rawVolume} − {volumeMin}) / {step}) = {steps}',
+    'risk.step.stepFallback': ' (step ≤ 0, using 0.01 like NormalizeVolumeAsync)',
+    'risk.step.snapped': 'Snapped volume = {volumeMin} + {steps} × {step} = {snapped} lots',
+    'risk.step.clamp': 'Clamp to [{volumeMin}, {volumeMax}] = {volume} lots',
+    'risk.result': '{volume} lots · actual risk {risk}',
+    'risk.clampedMin': ' — above your target: the broker minimum volume is larger than the risk allows',
+    'risk.clampedMax': ' — capped at the broker maximum volume',
+
+    'bookmarks.button': 'Bookmarks & Notes',
+    'bookmarks.title': '🔖 Bookmarks & Notes',
+    'bookmarks.search': 'Search bookmarks and notes',
+    'bookmarks.empty': 'No bookmarks yet. Use ☆ next to a section heading to add one.',
+    'bookmarks.matches': '{count} of {total} bookmarks match.',
+    'bookmarks.count': {
+      one: '{count} bookmark, stored in this browser only.',
+      other: '{count} bookmarks, stored in this browser only.'
+    },
+    'bookmarks.add': 'Bookmark this section',
+    'bookmarks.remove': 'Remove bookmark',
+    'bookmarks.note': 'Private note…',
+    'bookmarks.noteFor': 'Note for {title}',
+    'bookmarks.other': '📁 Other',
+
+    'quiz.check': 'Check answers',
+    'quiz.retry': 'Try again',
+    'quiz.answerQuestion': 'Answer question {number} first.',
+    'quiz.answerAll': 'Answer all {count} questions first.',
+    'quiz.score': '{score}/{total} correct',
+    'quiz.passed': 'passed ✓',
+    'quiz.needed': '{count} needed to pass',
+    'quiz.best': 'Best so far: {score}/{total}',
+    'quiz.attempts': { one: '{count} attempt', other: '{count} attempts' },
+    'quiz.categoryPassed': { one: '📝 {passed}/{count} quiz passed', other: '📝 {passed}/{count} quizzes passed' },
+    'quiz.categoryBest': 'best {score}/{total} correct',
+    'quiz.requiredPassed': 'required quiz passed ✓',
+    'quiz.requiredPending': 'required quiz not passed yet',
+
+    'offline.title': '📴 Offline Reading',
+    'offline.status': '{cached} of {total} pages available offline.',
+    'offline.cacheAll': 'Make all available offline',
+    'offline.caching': 'Saving pages for offline reading… {done}/{total}',
+    'offline.failed': {
+      one: '{count} page could not be saved. Try again when you are back online.',
+      other: '{count} pages could not be saved. Try again when you are back online.'
+    },
+    'offline.available': 'Available offline',
+
+    'orchestrator.title': '📈 {name}: pending orders',
+    'orchestrator.chartLabel': '{name} orders by price',
+    'orchestrator.back': '← Back',
+    'orchestrator.next': 'Next →',
+    'orchestrator.play': '▶ Play',
+    'orchestrator.pause': '⏸ Pause',
+    'orchestrator.phase': 'Phase {index} of {count}',
+    'orchestrator.error.notNumber': '{field} must be a number of 0 or more.',
+    'orchestrator.error.positive': 'Price, volume and leverage must be greater than 0.',
+    'orchestrator.summary.orders': 'Orders',
+    'orchestrator.summary.ordersValue': '{count} · buy {buy} lots · sell {sell} lots',
+    'orchestrator.summary.exposure': 'Net exposure',
+    'orchestrator.summary.exposureValue': '{net} lots · {notional} notional if all fill',
+    'orchestrator.summary.margin': 'Margin if all fill (estimate)',
+    'orchestrator.summary.maxLoss': 'Loss if every SL hits',
+    'orchestrator.summary.maxProfit': 'Profit if every TP hits',
+    'orchestrator.state.pending': 'pending',
+    'orchestrator.state.filled': 'filled',
+    'orchestrator.state.closed': 'closed',
+    'orchestrator.state.cancelled': 'canceled',
+
+    'config.title': '⚙️ appsettings.json builder',
+    'config.privacy': 'Everything stays in this form: nothing is saved or sent. The preview masks your password; Copy and Download include it.',
+    'config.copy': '📋 Copy appsettings.json',
+    'config.download': '⬇ Download',
+    'config.copied': 'Copied to clipboard. Paste it into Config/appsettings.json.',
+    'config.copyFailed': 'Could not copy - use Download instead.',
+    'config.valid': '✓ All fields look good.',
+    'config.invalid': { one: '{count} field needs fixing.', other: '{count} fields need fixing.' },
+    'config.error.required': 'Required.',
+    'config.error.login': 'Your MT5 login: digits only.',
+    'config.error.host': 'Host name only - no https:// and no port.',
+    'config.error.port': 'A port from 1 to 65535.',
+    'config.error.serverName': 'Required when Host is empty or the MetaRPC gateway.',
+    'config.error.grpcUrl': 'A full URL starting with https://',
+    'config.error.grpcPath': 'No path after the port.',
+    'config.error.grpcMismatch': 'Does not match Host and Port - expected {url}',
+    'config.error.grpcScheme': 'Port 443 needs https:// - expected {url}',
+    'config.error.symbol': 'A symbol name such as EURUSD.',
+    'config.error.instanceId': 'A GUID, or empty for null (generated per session).',
+    'config.error.timeout': 'Whole seconds from {min} to {max}.',
+
+    'analytics.title': '📈 Reading analytics',
+    'analytics.streak': { one: '🔥 {count}-day streak', other: '🔥 {count}-day streak' },
+    'analytics.longest': { one: 'longest {count} day', other: 'longest {count} days' },
+    'analytics.week': '{time} in the last 7 days',
+    'analytics.timeline': 'Last 7 days',
+    'analytics.categories': 'Time per category',
+    'analytics.revisited': 'Most revisited',
+    'analytics.visits': { one: '{count} visit', other: '{count} visits' },
+    'analytics.more': '+{count} more',
+    'analytics.underMinute': '< 1 min',
+    'analytics.minutes': '{minutes} min',
+    'analytics.hours': '{hours} h {minutes} min',
+    'analytics.local': 'Recorded in this browser only, as part of your progress.',
+    'achievements.title': '🏅 Achievements',
+    'achievements.count': '{unlocked} of {total} unlocked',
+    'achievements.unlockedAt': 'Unlocked {date}',
+    'achievements.locked': 'Locked',
+
+    'snippets.title': '🧩 Your values',
+    'snippets.reset': 'Reset',
+    'snippets.hint': 'Fill in once - highlighted values in every code sample on the site use them, and Copy copies them. Stored in this browser only.'
+  },
+
+  ru: {
+    'common.close': 'Закрыть',
+    'language.label': 'Язык',
+
+    'progress.button': 'Прогресс обучения',
+    'progress.title': '📊 Прогресс обучения',
+    'progress.announce': 'Прогресс чтения: {percentage}%',
+    'progress.downloadBackup': 'Скачать копию',
+    'progress.dismiss': 'Скрыть',
+    'progress.pagesRead': 'Прочитано страниц',
+    'progress.pagesReadSkimmed': 'Прочитано страниц · {count} просмотрено',
+    'progress.learningPath': 'Учебный маршрут',
+    'progress.pathProgress': 'Прогресс маршрута',
+    'progress.byCategory': 'По разделам',
+    'progress.categorySkimmed': 'Просмотрено: {count}',
+    'progress.categorySkimmedQuiz': 'Просмотрено: {count}; обязательный тест считается отдельным шагом',
+    'progress.staleTitle': 'Устаревшие записи',
+    'progress.staleText': {
+      one: '{count} посещённая страница больше не существует и не учитывается.',
+      few: '{count} посещённые страницы больше не существуют и не учитываются.',
+      many: '{count} посещённых страниц больше не существуют и не учитываются.',
+      other: '{count} посещённой страницы больше не существуют и не учитываются.'
+    },
+    'progress.staleRemove': 'Удалить устаревшие записи',
+    'progress.updatedTitle': 'Обновлены после прочтения',
+    'progress.updatedText': {
+      one: '{count} прочитанная страница с тех пор изменилась.',
+      few: '{count} прочитанные страницы с тех пор изменились.',
+      many: '{count} прочитанных страниц с тех пор изменились.',
+      other: '{count} прочитанной страницы с тех пор изменились.'
+    },
+    'progress.updatedTextReread': {
+      one: '{count} прочитанная страница изменилась и считается непрочитанной, пока вы не прочитаете её снова.',
+      few: '{count} прочитанные страницы изменились и считаются непрочитанными, пока вы не прочитаете их снова.',
+      many: '{count} прочитанных страниц изменились и считаются непрочитанными, пока вы не прочитаете их снова.',
+      other: '{count} прочитанной страницы изменились и считаются непрочитанными, пока вы не прочитаете их снова.'
+    },
+    'progress.export': 'Экспорт',
+    'progress.exportTitle': 'Скачать прогресс в виде JSON-файла',
+    'progress.import': 'Импорт',
+    'progress.importTitle': 'Объединить с прогрессом из экспортированного JSON-файла',
+    'progress.reset': 'Сбросить прогресс',
+    'progress.resetConfirm': 'Сбросить весь прогресс? Закладки и заметки сохранятся.',
+    'progress.state.unvisited': 'Не открыта',
+    'progress.state.skimmed': 'Просмотрена',
+    'progress.state.read': 'Прочитана',
+    'nav.groupProgress': 'Прочитано страниц: {read} из {total}, просмотрено: {skimmed}',
+    'nav.sectionSeen': 'Раздел просмотрен',
+    'nav.sectionUnseen': 'Раздел ещё не просмотрен',
+    'updates.badge': 'обновлена после прочтения',
+    'updates.notice': '📝 Страница обновилась после того, как вы её прочитали.',
+    'updates.noticeReread': '📝 Страница обновилась после того, как вы её прочитали, и считается непрочитанной, пока вы не прочитаете её снова.',
+    'updates.reviewed': 'Отметить как просмотренную',
+    'progress.pageStatus': 'Эта страница: {state} · прокручено {scroll}% · активно {seconds} с · просмотрено разделов {sections}%',
+
+    'path.next': 'Далее: {title} →',
+    'path.cardLabel': '{path} · прочитано {completed} из {total}',
+    'path.continue': 'Продолжить: {title} →',
+    'path.complete': 'Маршрут пройден 🎉 Выберите другой',
+    'path.beginner.name': '🌱 Новичок',
+    'path.beginner.description': 'Установка, подключение и три уровня API',
+    'path.bot_author.name': '🤖 Автор торгового бота',
+    'path.bot_author.description': 'Выставление, проверка и сопровождение ордеров, затем оркестраторы',
+    'path.streaming.name': '📡 Потоки',
+    'path.streaming.description': 'Тики, торговые события и стакан через gRPC-потоки',
+
+    'category.guides': '📘 Руководства',
+    'category.mt5account': '📦 MT5Account API',
+    'category.mt5service': '🔧 MT5Service',
+    'category.mt5sugar': '🍬 MT5Sugar',
+    'category.strategies': '🎯 Стратегии',
+    'category.api_reference': '📚 Справочник API',
+
+    'notice.newerVersion': 'Прогресс сохранён более новой версией документации. Часть данных может не отображаться.',
+    'notice.recovered': {
+      one: 'Сохранённый прогресс повреждён. Восстановлена {count} посещённая страница; статус прочтения восстановить не удалось. Исходные данные сохранены как резервная копия.',
+      few: 'Сохранённый прогресс повреждён. Восстановлено {count} посещённые страницы; статус прочтения восстановить не удалось. Исходные данные сохранены как резервная копия.',
+      many: 'Сохранённый прогресс повреждён. Восстановлено {count} посещённых страниц; статус прочтения восстановить не удалось. Исходные данные сохранены как резервная копия.',
+      other: 'Сохранённый прогресс повреждён. Восстановлено {count} посещённой страницы; статус прочтения восстановить не удалось. Исходные данные сохранены как резервная копия.'
+    },
+    'notice.backupStored': 'В этом браузере всё ещё хранится резервная копия повреждённых данных прогресса.',
+    'notice.discardBackup': 'Удалить резервную копию повреждённых данных прогресса?',
+    'import.invalidJson': '«{file}» не является корректным JSON. Ничего не импортировано.',
+    'import.wrongFormat': '«{file}» не является экспортом прогресса документации CSharpMT5. Ничего не импортировано.',
+    'import.noData': 'В «{file}» нет читаемых данных прогресса. Ничего не импортировано.',
+    'import.readFailed': 'Не удалось прочитать «{file}».',
+    'import.success': 'Импортировано: {pages} (прочитано {read}) и {bookmarks}; данные объединены с прогрессом в этом браузере.',
+    'import.pages': {
+      one: '{count} посещённая страница',
+      few: '{count} посещённые страницы',
+      many: '{count} посещённых страниц',
+      other: '{count} посещённой страницы'
+    },
+    'import.bookmarks': { one: '{count} закладка', few: '{count} закладки', many: '{count} закладок', other: '{count} закладки' },
+
+    'milestone.title': 'Новый рубеж!',
+    'milestone.message': 'Отличный прогресс!',
+    'milestone.continue': 'Продолжить обучение',
+
+    'contact.button': 'Связь и поддержка',
+    'contact.title': '💬 Связь и поддержка',
+    'contact.needHelp': 'Нужна помощь?',
+    'contact.intro': 'Есть вопросы о CSharpMT5 SDK? Напишите нам в удобный мессенджер!',
+    'contact.channel.telegram': 'Быстрые ответы и чат сообщества',
+    'contact.channel.whatsapp': 'Личные сообщения и звонки',
+    'contact.channel.github_discussions': 'Помощь сообщества и вопросы-ответы',
+    'contact.channel.github_issues': 'Сообщения об ошибках и правки документации',
+    'contact.channel.email': 'Деловые запросы и партнёрство',
+    'contact.noChannels': 'Для этого сайта не настроены каналы связи. Запрос всё равно можно составить ниже и скопировать.',
+    'contact.composerTitle': '📝 Запрос в поддержку',
+    'contact.composerHint': 'Данные о странице и окружении подставлены автоматически. Ничего не отправляется, пока вы не выберете, куда.',
+    'contact.summary': 'Кратко',
+    'contact.layer': 'Уровень SDK',
+    'contact.notSure': 'Не знаю',
+    'contact.retcode': 'Полученный RetCode',
+    'contact.details': 'Что произошло?',
+    'contact.detailsPlaceholder': 'Шаги, ожидаемый и фактический результат, фрагмент кода…',
+    'contact.preview': 'Предпросмотр',
+    'contact.openIssue': 'Открыть issue на GitHub',
+    'contact.sendEmail': 'Отправить по почте',
+    'contact.copy': 'Копировать',
+    'contact.copied': 'Скопировано в буфер обмена.',
+    'contact.copyFailed': 'Не удалось скопировать - текст выделен, нажмите Ctrl+C.',
+
+    'retcode.button': 'Поиск RetCode',
+    'retcode.title': '🔢 Поиск RetCode',
+    'retcode.hint': 'Введите числовой код или часть имени TRADE_RETCODE_*.',
+    'retcode.loading': 'Загрузка кодов возврата…',
+    'retcode.loaded': {
+      one: '{count} код из справочника кодов возврата.',
+      few: '{count} кода из справочника кодов возврата.',
+      many: '{count} кодов из справочника кодов возврата.',
+      other: '{count} кода из справочника кодов возврата.'
+    },
+    'retcode.failed': 'Не удалось загрузить справочник кодов возврата.',
+    'retcode.empty': 'Подходящий код возврата не найден.',
+    'retcode.handling': 'Что делать:',
+    'retcode.kind.success': 'Операция выполнена. Возьмите тикет ордера/сделки из результата.',
+    'retcode.kind.requote': 'Цена изменилась. Обновите котировку и отправьте запрос снова.',
+    'retcode.kind.rejection': 'Исправьте параметры запроса перед повторной отправкой - тот же запрос снова не пройдёт.',
+    'retcode.kind.restriction': 'Торговля сейчас запрещена. Проверьте права символа/счёта и торговые часы.',
+    'retcode.kind.resource': 'Достигнут лимит. Уменьшите объём или сначала освободите маржу/ордера/позиции.',
+    'retcode.kind.technical': 'Обычно временная ошибка. Подождите, проверьте соединение и повторите.',
+    'retcode.kind.state': 'Ордер или позиция успели измениться. Перечитайте их состояние, прежде чем действовать снова.',
+    'retcode.viewInReference': 'Открыть в справочнике →',
+
+    'protobuf.button': 'Инспектор Protobuf',
+    'protobuf.title': '🔍 Инспектор Protobuf',
+    'protobuf.placeholder': 'AccountSummaryData, field Ticket, enum ORDER_TYPE',
+    'protobuf.hint': 'Ищите имена типов, полей или значения перечислений. Команды: {commands}.',
+    'protobuf.loading': 'Загрузка индекса типов…',
+    'protobuf.unavailable': 'Индекс типов недоступен в этой сборке документации.',
+    'protobuf.empty': 'Подходящие типы, поля или значения перечислений не найдены.',
+    'protobuf.showing': 'Показано {limit} из {count} типов',
+    'protobuf.count': { one: '{count} тип', few: '{count} типа', many: '{count} типов', other: '{count} типа' },
+    'protobuf.noFields': '(нет полей)',
+    'protobuf.docsLink': '{title} в документации MT5Account →',
+
+    'glossary.hint': 'Откройте термин, чтобы прочитать всю статью глоссария',
+    'layers.title': '🔀 Та же операция на других уровнях',
+    'layers.titleFor': '🔀 {method} на других уровнях',
+
+    'palette.label': 'Палитра команд',
+    'palette.placeholder': 'Страница, метод, тип, RetCode или термин…',
+    'palette.results': 'Результаты',
+    'palette.help': 'выбор · {enter} открыть · {esc} закрыть',
+    'palette.loading': 'Загрузка индекса…',
+    'palette.noMatches': 'Ничего не найдено.',
+    'palette.count': {
+      one: '{count} результат',
+      few: '{count} результата',
+      many: '{count} результатов',
+      other: '{count} результата'
+    },
+    'palette.recent': 'Недавно открытые',
+    'palette.kind.page': 'Страницы',
+    'palette.kind.method': 'Методы API',
+    'palette.kind.type': 'Типы Protobuf',
+    'palette.kind.retcode': 'Коды возврата',
+    'palette.kind.term': 'Глоссарий',
+
+    'risk.title': '🧮 Калькулятор объёма позиции',
+    'risk.field.balance': 'Баланс счёта',
+    'risk.field.riskPercent': 'Риск на сделку (%)',
+    'risk.field.slPoints': 'Стоп-лосс (пункты)',
+    'risk.field.point': 'Размер пункта',
+    'risk.field.tickSize': 'Размер тика',
+    'risk.field.tickValue': 'Стоимость тика (1 лот)',
+    'risk.field.volumeMin': 'Мин. объём',
+    'risk.field.volumeStep': 'Шаг объёма',
+    'risk.field.volumeMax': 'Макс. объём',
+    'risk.error.notNumber': '{field}: нужно число.',
+    'risk.error.slPoints': 'Стоп-лосс должен быть больше 0 пунктов.',
+    'risk.error.riskMoney': 'Сумма риска должна быть больше 0.',
+    'risk.error.tickSize': 'Размер тика равен 0 - брокер его не сообщил.',
+    'risk.error.lossPerLot': 'Убыток на лот равен 0 - проверьте размер пункта и стоимость тика.',
+    'risk.step.riskMoney': 'Сумма риска = {balance} × {percent}% = {riskMoney}',
+    'risk.step.lossPerLot': 'Убыток на лот = {slPoints} п. × {point} / {tickSize} × {tickValue} = {lossPerLot}',
+    'risk.step.rawVolume': 'Расчётный объём = {riskMoney} / {lossPerLot} = {rawVolume} лот',
+    'risk.step.steps': 'Шагов от минимума = round(({rawVolume} − {volumeMin}) / {step}) = {steps}',
+    'risk.step.stepFallback': ' (шаг ≤ 0, берётся 0.01, как в NormalizeVolumeAsync)',
+    'risk.step.snapped': 'Объём по шагу = {volumeMin} + {steps} × {step} = {snapped} лот',
+    'risk.step.clamp': 'Ограничение [{volumeMin}, {volumeMax}] = {volume} лот',
+    'risk.result': '{volume} лот · фактический риск {risk}',
+    'risk.clampedMin': ' — больше цели: минимальный объём брокера превышает допустимый риск',
+    'risk.clampedMax': ' — ограничено максимальным объёмом брокера',
+
+    'bookmarks.button': 'Закладки и заметки',
+    'bookmarks.title': '🔖 Закладки и заметки',
+    'bookmarks.search': 'Поиск по закладкам и заметкам',
+    'bookmarks.empty': 'Закладок пока нет. Нажмите ☆ рядом с заголовком раздела, чтобы добавить.',
+    'bookmarks.matches': 'Найдено {count} из {total}.',
+    'bookmarks.count': {
+      one: '{count} закладка, хранится только в этом браузере.',
+      few: '{count} закладки, хранятся только в этом браузере.',
+      many: '{count} закладок, хранятся только в этом браузере.',
+      other: '{count} закладки, хранятся только в этом браузере.'
+    },
+    'bookmarks.add': 'Добавить раздел в закладки',
+    'bookmarks.remove': 'Удалить закладку',
+    'bookmarks.note': 'Личная заметка…',
+    'bookmarks.noteFor': 'Заметка к «{title}»',
+    'bookmarks.other': '📁 Прочее',
+
+    'quiz.kind.choice': 'Выбор ответа',
+    'quiz.kind.retcode': 'Какой RetCode?',
+    'quiz.kind.layer': 'Какой уровень?',
+    'quiz.check': 'Проверить ответы',
+    'quiz.retry': 'Пройти снова',
+    'quiz.answerQuestion': 'Сначала ответьте на вопрос {number}.',
+    'quiz.answerAll': 'Сначала ответьте на все вопросы ({count}).',
+    'quiz.score': 'Верно {score} из {total}',
+    'quiz.passed': 'тест пройден ✓',
+    'quiz.needed': 'для прохождения нужно {count}',
+    'quiz.best': 'Лучший результат: {score}/{total}',
+    'quiz.attempts': { one: '{count} попытка', few: '{count} попытки', many: '{count} попыток', other: '{count} попытки' },
+    'quiz.categoryPassed': {
+      one: '📝 пройдено тестов: {passed} из {count}',
+      other: '📝 пройдено тестов: {passed} из {count}'
+    },
+    'quiz.categoryBest': 'лучший результат {score}/{total}',
+    'quiz.requiredPassed': 'обязательный тест пройден ✓',
+    'quiz.requiredPending': 'обязательный тест ещё не пройден',
+
+    'offline.title': '📴 Чтение офлайн',
+    'offline.status': 'Доступно офлайн: {cached} из {total} страниц.',
+    'offline.cacheAll': 'Сохранить всё для офлайн-чтения',
+    'offline.caching': 'Сохранение страниц для офлайн-чтения… {done}/{total}',
+    'offline.failed': {
+      one: 'Не удалось сохранить {count} страницу. Повторите, когда появится сеть.',
+      few: 'Не удалось сохранить {count} страницы. Повторите, когда появится сеть.',
+      many: 'Не удалось сохранить {count} страниц. Повторите, когда появится сеть.',
+      other: 'Не удалось сохранить {count} страницы. Повторите, когда появится сеть.'
+    },
+    'offline.available': 'Доступна офлайн',
+
+    'orchestrator.title': '📈 {name}: отложенные ордера',
+    'orchestrator.chartLabel': 'Ордера {name} по цене',
+    'orchestrator.back': '← Назад',
+    'orchestrator.next': 'Далее →',
+    'orchestrator.play': '▶ Воспроизвести',
+    'orchestrator.pause': '⏸ Пауза',
+    'orchestrator.phase': 'Фаза {index} из {count}',
+    'orchestrator.field.price': 'Цена Bid',
+    'orchestrator.field.spreadPoints': 'Спред (пункты)',
+    'orchestrator.field.levels': 'Уровни сетки',
+    'orchestrator.field.spacingPoints': 'Шаг сетки (пункты)',
+    'orchestrator.field.distancePoints': 'Отступ (пункты)',
+    'orchestrator.field.volume': 'Объём (лоты)',
+    'orchestrator.field.slPoints': 'Стоп-лосс (пункты)',
+    'orchestrator.field.tpPoints': 'Тейк-профит (пункты)',
+    'orchestrator.field.leverage': 'Плечо (1:N)',
+    'orchestrator.phase.init': 'Инициализация',
+    'orchestrator.phase.buyLimits': 'Лестница Buy Limit',
+    'orchestrator.phase.sellLimits': 'Лестница Sell Limit',
+    'orchestrator.phase.monitor': 'Мониторинг',
+    'orchestrator.phase.countdown': 'Отсчёт до новости',
+    'orchestrator.phase.straddle': 'Стрэддл выставлен',
+    'orchestrator.phase.breakout': 'Пробой',
+    'orchestrator.phase.oco': 'Противоположный ордер отменён',
+    'orchestrator.phase.close': 'CloseAll',
+    'orchestrator.error.notNumber': '{field}: нужно число не меньше 0.',
+    'orchestrator.error.positive': 'Цена, объём и плечо должны быть больше 0.',
+    'orchestrator.summary.orders': 'Ордера',
+    'orchestrator.summary.ordersValue': '{count} · покупка {buy} лот · продажа {sell} лот',
+    'orchestrator.summary.exposure': 'Чистая позиция',
+    'orchestrator.summary.exposureValue': '{net} лот · номинал {notional}, если сработают все',
+    'orchestrator.summary.margin': 'Маржа, если сработают все (оценка)',
+    'orchestrator.summary.maxLoss': 'Убыток, если сработают все SL',
+    'orchestrator.summary.maxProfit': 'Прибыль, если сработают все TP',
+    'orchestrator.state.pending': 'ожидает',
+    'orchestrator.state.filled': 'исполнен',
+    'orchestrator.state.closed': 'закрыт',
+    'orchestrator.state.cancelled': 'отменён',
+
+    'config.title': '⚙️ Конструктор appsettings.json',
+    'config.privacy': 'Всё остаётся в этой форме: ничего не сохраняется и не отправляется. В превью пароль скрыт; «Копировать» и «Скачать» его включают.',
+    'config.copy': '📋 Копировать appsettings.json',
+    'config.download': '⬇ Скачать',
+    'config.copied': 'Скопировано. Вставьте в Config/appsettings.json.',
+    'config.copyFailed': 'Не удалось скопировать - используйте «Скачать».',
+    'config.valid': '✓ Все поля заполнены верно.',
+    'config.invalid': {
+      one: 'Исправьте {count} поле.',
+      few: 'Исправьте {count} поля.',
+      many: 'Исправьте {count} полей.',
+      other: 'Исправьте {count} поля.'
+    },
+    'config.error.required': 'Обязательное поле.',
+    'config.error.login': 'Логин MT5: только цифры.',
+    'config.error.host': 'Только имя хоста - без https:// и без порта.',
+    'config.error.port': 'Порт от 1 до 65535.',
+    'config.error.serverName': 'Обязательно, если Host пуст или это шлюз MetaRPC.',
+    'config.error.grpcUrl': 'Полный URL, начинающийся с https://',
+    'config.error.grpcPath': 'После порта не должно быть пути.',
+    'config.error.grpcMismatch': 'Не совпадает с Host и Port - ожидается {url}',
+    'config.error.grpcScheme': 'Для порта 443 нужен https:// - ожидается {url}',
+    'config.error.symbol': 'Имя символа, например EURUSD.',
+    'config.error.instanceId': 'GUID или пусто для null (создаётся на сессию).',
+    'config.error.timeout': 'Целое число секунд от {min} до {max}.',
+
+    'analytics.title': '📈 Статистика чтения',
+    'analytics.streak': {
+      one: '🔥 {count} день подряд',
+      few: '🔥 {count} дня подряд',
+      many: '🔥 {count} дней подряд',
+      other: '🔥 {count} дня подряд'
+    },
+    'analytics.longest': {
+      one: 'рекорд {count} день',
+      few: 'рекорд {count} дня',
+      many: 'рекорд {count} дней',
+      other: 'рекорд {count} дня'
+    },
+    'analytics.week': '{time} за последние 7 дней',
+    'analytics.timeline': 'Последние 7 дней',
+    'analytics.categories': 'Время по разделам',
+    'analytics.revisited': 'Чаще всего открываете',
+    'analytics.visits': { one: '{count} визит', few: '{count} визита', many: '{count} визитов', other: '{count} визита' },
+    'analytics.more': 'и ещё {count}',
+    'analytics.underMinute': '< 1 мин',
+    'analytics.minutes': '{minutes} мин',
+    'analytics.hours': '{hours} ч {minutes} мин',
+    'analytics.local': 'Хранится только в этом браузере, вместе с прогрессом.',
+    'achievements.title': '🏅 Достижения',
+    'achievements.count': 'Открыто {unlocked} из {total}',
+    'achievements.unlockedAt': 'Открыто {date}',
+    'achievements.locked': 'Ещё не открыто',
+    'achievement.first-page.title': 'Первая страница',
+    'achievement.first-page.description': 'Прочитать страницу от начала до конца',
+    'achievement.progress-25.title': 'Четверть пути!',
+    'achievement.progress-25.description': 'Прочитано 25% документации',
+    'achievement.progress-50.title': 'Половина пройдена!',
+    'achievement.progress-50.description': 'Прочитано 50% документации',
+    'achievement.progress-75.title': 'Почти у цели!',
+    'achievement.progress-75.description': 'Прочитано 75% документации',
+    'achievement.progress-100.title': 'Мастер документации!',
+    'achievement.progress-100.description': 'Прочитана вся документация',
+    'achievement.trading-operations.title': 'Торговый стол',
+    'achievement.trading-operations.description': 'Прочитать все страницы MT5Account Trading Operations',
+    'achievement.orchestrators.title': 'Дирижёр',
+    'achievement.orchestrators.description': 'Разобраться, как работает каждый оркестратор',
+    'achievement.category.title': 'Раздел пройден',
+    'achievement.category.description': 'Пройти раздел целиком',
+    'achievement.learning-path.title': 'Следопыт',
+    'achievement.learning-path.description': 'Пройти учебный маршрут',
+    'achievement.quiz.title': 'Самопроверка',
+    'achievement.quiz.description': 'Сдать тест',
+    'achievement.streak-7.title': 'Неделя подряд',
+    'achievement.streak-7.description': 'Читать 7 дней подряд',
+
+    'snippets.title': '🧩 Ваши значения',
+    'snippets.reset': 'Сбросить',
+    'snippets.hint': 'Заполните один раз - выделенные значения во всех примерах кода на сайте берутся отсюда, и копируются тоже они. Хранится только в этом браузере.',
+    'snippets.field.symbol': 'Символ',
+    'snippets.field.volume': 'Объём',
+    'snippets.field.magic': 'Magic',
+    'snippets.field.ticket': 'Тикет',
+    'snippets.field.slPoints': 'SL, пункты',
+    'snippets.field.tpPoints': 'TP, пункты'
+  }
+};
+
+let uxLanguage = null;
+
+function getUxLanguage() {
+  if (uxLanguage) return uxLanguage;
+
+  // The reader's choice, then the language of the page they opened
+  const stored = localStorage.getItem(UX_LANGUAGE_KEY);
+  const pageLanguage = getPageLanguage(pagePathFromUrl(window.location.href, new URL(getSiteRootUrl()).pathname));
+  const documentLanguage = (document.documentElement.lang || '').slice(0, 2).toLowerCase();
+
+  uxLanguage = [stored, pageLanguage, documentLanguage].find(language => UX_STRINGS[language]) || DEFAULT_UX_LANGUAGE;
+  return uxLanguage;
+}
+
+function setUxLanguage(language) {
+  if (!UX_STRINGS[language] || language === getUxLanguage()) return;
+  localStorage.setItem(UX_LANGUAGE_KEY, language);
+
+  // Widgets are built once per load: open the page in that language, or reload
+  const url = getPageUrl(getCurrentPagePath(), language);
+  if (url !== window.location.origin + window.location.pathname) {
+    window.location.href = url + window.location.hash;
+  } else {
+    window.location.reload();
+  }
+}
+
+function uxText(key, params = {}) {
+  const language = getUxLanguage();
+  let text = key in UX_STRINGS[language] ? UX_STRINGS[language][key] : UX_STRINGS[DEFAULT_UX_LANGUAGE][key];
+  if (text === undefined) return key;
+
+  if (typeof text === 'object') {
+    text = text[new Intl.PluralRules(language).select(params.count)] || text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+}
+
+function uxTextOr(key, fallback) {
+  // Strings that only exist in translations, with English kept next to the data
+  const strings = UX_STRINGS[getUxLanguage()];
+  return key in strings ? strings[key] : fallback;
+}
+
+function getCanonicalPage(page) {
+  // "Your_First_Project.ru" -> "Your_First_Project"
+  return page.replace(PAGE_LANGUAGE_PATTERN, '');
+}
+
+function getPageLanguage(page) {
+  const match = page.match(PAGE_LANGUAGE_PATTERN);
+  return match ? match[1] : DEFAULT_UX_LANGUAGE;
+}
+
+// ============================================================================
+// DIALOGS - Focus trap, Escape to close and focus return for panels and modals
+// ============================================================================
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])',
+  'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open dialogs, the one on top last
+const openDialogs = [];
+
+function initDialogs() {
+  document.addEventListener('keydown', onDialogKeydown);
+
+  if (!document.getElementById('ux-announcer')) {
+    document.body.insertAdjacentHTML('beforeend',
+      '<div id="ux-announcer" class="ux-sr-only" role="status" aria-live="polite"></div>');
+  }
+}
+
+// Call after showing the dialog: close() runs on Escape, focus returns to
+// whatever had it before once the dialog is released
+function trapDialog(dialog, close) {
+  if (openDialogs.some(entry => entry.dialog === dialog)) return;
+  openDialogs.push({ dialog: dialog, close: close, returnFocus: document.activeElement });
+
+  if (!dialog.contains(document.activeElement)) {
+    (getFocusableElements(dialog)[0] || dialog).focus();
+  }
+}
+
+function releaseDialog(dialog, restoreFocus = true) {
+  const index = openDialogs.findIndex(entry => entry.dialog === dialog);
+  if (index === -1) return;
+
+  const entry = openDialogs.splice(index, 1)[0];
+  const target = entry.returnFocus;
+  if (restoreFocus && target && target !== document.body && target.focus && document.contains(target)) {
+    target.focus();
+  }
+}
+
+function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(element => !element.closest('[hidden]'));
+}
+
+function onDialogKeydown(e) {
+  const entry = openDialogs[openDialogs.length - 1];
+  if (!entry) return;
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    entry.close();
+    return;
+  }
+  if (e.key !== 'Tab') return;
+
+  // Keep Tab and Shift+Tab cycling inside the dialog
+  const focusable = getFocusableElements(entry.dialog);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (!first) {
+    e.preventDefault();
+    entry.dialog.focus();
+  } else if (!entry.dialog.contains(active)) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  } else if (e.shiftKey && (active === first || active === entry.dialog)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && active === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function announce(message) {
+  const announcer = document.getElementById('ux-announcer');
+  if (!announcer) return;
+
+  // Clear first so repeating the same message is announced again
+  announcer.textContent = '';
+  setTimeout(() => {
+    announcer.textContent = message;
+  }, 100);
+}
+
+function prefersReducedMotion() {
+  return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
 // ============================================================================
 // PROGRESS TRACKER - Track documentation reading progress
 // ============================================================================
 
 const PROGRESS_STORAGE_KEY = 'csharpmt5_docs_progress';
+const CATALOGUE_CACHE_KEY = 'csharpmt5_docs_catalogue';
 
-// Documentation structure: all pages tracked
+// Fallback documentation structure, used only when the built site's sitemap
+// can't be loaded (e.g. docs opened from the file system)
 const DOC_STRUCTURE = {
   'guides': {
     name: '📘 Guides',
@@ -170,76 +1150,156 @@ const DOC_STRUCTURE = {
   }
 };
 
+// How catalogue pages are grouped: first rule whose prefix matches wins.
+// Root-level pages land in Guides; unknown folders get a category of their own.
+const CATEGORY_RULES = [
+  { key: 'guides', name: '📘 Guides', match: path => !path.includes('/') },
+  { key: 'mt5account', name: '📦 MT5Account API', match: path => path.startsWith('MT5Account/') },
+  { key: 'mt5service', name: '🔧 MT5Service', match: path => path.startsWith('MT5Service/') },
+  { key: 'mt5sugar', name: '🍬 MT5Sugar', match: path => path.startsWith('MT5Sugar/') },
+  { key: 'strategies', name: '🎯 Strategies', match: path => path.startsWith('Strategies/') },
+  { key: 'api_reference', name: '📚 API Reference', match: path => path.startsWith('API_Reference/') }
+];
+
+// Pages that exist on the site but are not part of the learning catalogue
+const CATALOGUE_EXCLUDED_PAGES = ['index'];
+
+// Guided learning paths: ordered page lists shown in the progress panel and
+// as a "Continue" card at the bottom of every page
+const LEARNING_PATHS = {
+  'beginner': {
+    name: '🌱 Beginner',
+    description: 'Set up, connect and learn the three API layers',
+    pages: [
+      'Getting_Started',
+      'MT5_For_Beginners',
+      'Your_First_Project',
+      'Glossary',
+      'PROJECT_MAP',
+      'MT5Account/MT5Account.Master.Overview',
+      'MT5Account/1. Account_information/Account_Information.Overview',
+      'MT5Account/1. Account_information/AccountSummary',
+      'MT5Account/2. Symbol_information/Symbol_Information.Overview',
+      'MT5Account/2. Symbol_information/SymbolInfoTick',
+      'MT5Service/MT5Service.Overview',
+      'MT5Sugar/MT5Sugar.API_Overview',
+      'Sync_vs_Async',
+      'ReturnCodes_Reference_EN',
+      'UserCode_Sandbox_Guide',
+      'Strategies/Strategies.Master.Overview'
+    ]
+  },
+  'bot_author': {
+    name: '🤖 Trading bot author',
+    description: 'Place, validate and manage orders, then study the orchestrators',
+    pages: [
+      'Getting_Started',
+      'UserCode_Sandbox_Guide',
+      'MT5Account/4. Trading_Operattons/Trading_Operations.Overview',
+      'MT5Account/4. Trading_Operattons/OrderCheck',
+      'MT5Account/4. Trading_Operattons/OrderSend',
+      'MT5Account/4. Trading_Operattons/OrderModify',
+      'MT5Account/4. Trading_Operattons/OrderClose',
+      'ReturnCodes_Reference_EN',
+      'MT5Service/Trading_Convenience_Methods',
+      'MT5Sugar/MT5Sugar.API_Overview',
+      'MT5Sugar/8. Volume_Price_Utils/CalcVolumeForRiskAsync',
+      'MT5Sugar/10. Market_ByRisk/BuyMarketByRisk',
+      'MT5Sugar/6. Trading_Market_Pending/PlaceMarket',
+      'MT5Sugar/6. Trading_Market_Pending/PlacePending',
+      'MT5Sugar/6. Trading_Market_Pending/ModifySlTpAsync',
+      'MT5Sugar/13. Order_Validation/ValidateOrderAsync',
+      'MT5Sugar/15. Position_Monitoring/GetTotalProfitLossAsync',
+      'Strategies/Strategies.Master.Overview',
+      'Strategies/Orchestrators_EN/SimpleScalpingOrchestrator',
+      'Strategies/Orchestrators_EN/SimpleScalpingOrchestrator.HOW_IT_WORKS',
+      'Strategies/Orchestrators_EN/GridTradingOrchestrator',
+      'Strategies/Orchestrators_EN/GridTradingOrchestrator.HOW_IT_WORKS',
+      'Strategies/Presets/AdaptiveMarketModePreset'
+    ]
+  },
+  'streaming': {
+    name: '📡 Streaming',
+    description: 'Ticks, trade events and market depth over gRPC streams',
+    pages: [
+      'Getting_Started',
+      'Sync_vs_Async',
+      'GRPC_STREAM_MANAGEMENT',
+      'MT5Account/7. Streaming_Methods/Streaming_Methods.Overview',
+      'MT5Account/7. Streaming_Methods/SubscribeToTicks',
+      'MT5Account/7. Streaming_Methods/OnTrade',
+      'MT5Account/7. Streaming_Methods/SubscribeToTradeTransaction',
+      'MT5Account/7. Streaming_Methods/SubscribeToPositionProfit',
+      'MT5Account/7. Streaming_Methods/OnPositionsAndPendingOrdersTickets',
+      'MT5Sugar/5. Streams_Helpers/ReadTicks',
+      'MT5Sugar/5. Streams_Helpers/ReadTrades',
+      'MT5Account/5. Market_Depth(DOM)/Market_Depth.Overview',
+      'MT5Account/5. Market_Depth(DOM)/MarketBookAdd',
+      'MT5Account/5. Market_Depth(DOM)/MarketBookGet',
+      'MT5Account/5. Market_Depth(DOM)/MarketBookRelease',
+      'MT5Sugar/12. Market_Depth_DOM/SubscribeToMarketBookAsync',
+      'MT5Sugar/12. Market_Depth_DOM/GetMarketBookSnapshotAsync'
+    ]
+  }
+};
+
+const DEFAULT_LEARNING_PATH = 'beginner';
+
+// Active catalogue: starts from the fallback and is replaced once the sitemap loads
+let docCatalogue = createCatalogue('fallback', getStructurePages(DOC_STRUCTURE));
+
 function initProgressTracker() {
-  // Track current page visit
-  trackPageVisit();
+  // Use the catalogue cached earlier in this session, if any
+  const cachedCatalogue = getCachedCatalogue();
+  if (cachedCatalogue) {
+    docCatalogue = cachedCatalogue;
+  }
 
   // Create and inject progress bar
   createProgressBar();
+  noticeNewerProgress();
 
-  // Update progress display
-  updateProgressDisplay();
-
-  // Track link clicks for navigation
-  trackLinkClicks();
-
-  // Track browser back/forward navigation
-  window.addEventListener('popstate', function() {
-    setTimeout(() => {
-      trackPageVisit();
+  // Refresh the catalogue from the built site and redraw with real totals
+  if (!cachedCatalogue) {
+    loadDocCatalogue().then(catalogue => {
+      if (!catalogue) return;
+      docCatalogue = catalogue;
       updateProgressDisplay();
-    }, 100);
-  });
-
-  // Track dynamic content changes (for Material for MkDocs instant loading)
-  if (window.MutationObserver) {
-    const observer = new MutationObserver(function(mutations) {
-      mutations.forEach(function(mutation) {
-        if (mutation.type === 'childList' && mutation.target.classList.contains('md-content')) {
-          setTimeout(() => {
-            trackPageVisit();
-            updateProgressDisplay();
-          }, 100);
-        }
-      });
     });
-
-    const contentElement = document.querySelector('.md-content');
-    if (contentElement) {
-      observer.observe(contentElement, { childList: true, subtree: true });
-    }
   }
+
+  // Progress written by other tabs of the docs
+  window.addEventListener('storage', onProgressStorageChange);
 }
 
-function trackLinkClicks() {
-  // Track all internal documentation links
-  document.addEventListener('click', function(e) {
-    const link = e.target.closest('a[href]');
-    if (!link) return;
+function onProgressStorageChange(e) {
+  // key is null when another tab cleared all of localStorage
+  if (e.key !== PROGRESS_STORAGE_KEY && e.key !== null) return;
 
-    const href = link.getAttribute('href');
+  // Reset elsewhere: start this page over instead of saving old engagement back
+  if (e.newValue === null && readingSession) {
+    stopReadingSession(false);
+    trackPageVisit();
+  }
 
-    // Skip external links, anchors, and non-doc links
-    if (!href || href.startsWith('#') || href.startsWith('http') || href.startsWith('mailto:')) {
-      return;
-    }
+  updateProgressDisplay({ remote: true });
+  refreshBookmarks();
+}
 
-    // Wait a bit for navigation to complete, then track
-    setTimeout(() => {
-      const oldProgress = getProgress();
-      const oldCount = oldProgress.visitedPages.length;
+function mountProgressPage() {
+  // Track current page visit
+  trackPageVisit();
 
-      trackPageVisit();
+  // Update progress display
+  updateProgressDisplay();
 
-      const newProgress = getProgress();
-      const newCount = newProgress.visitedPages.length;
+  // Flag read pages that changed since; updates the display again
+  loadPageFingerprints().then(fingerprints => {
+    if (fingerprints) applyPageFingerprints();
+  });
 
-      // Only update display if progress actually changed
-      if (newCount > oldCount) {
-        updateProgressDisplay();
-      }
-    }, 200);
-  }, true);
+  // Save what was read here before the next page takes over
+  return () => stopReadingSession();
 }
 
 function trackPageVisit() {
@@ -247,77 +1307,1684 @@ function trackPageVisit() {
   if (!currentPath) return;
 
   const progress = getProgress();
+  const now = new Date().toISOString();
   if (!progress.visitedPages.includes(currentPath)) {
     progress.visitedPages.push(currentPath);
-    progress.lastVisit = new Date().toISOString();
-    saveProgress(progress);
+    progress.lastVisit = now;
   }
+  recordPageVisit(getPageRecord(progress, currentPath), now);
+  saveProgress(progress);
+
+  // A visit only makes the page "skimmed"; engagement decides when it is read
+  startReadingSession(currentPath);
 }
 
-function getCurrentPagePath() {
-  // Get current page path from URL
-  let path = window.location.pathname;
+// ============================================================================
+// DOC CATALOGUE - Pages and categories derived from the built site
+// ============================================================================
 
-  // Remove .html extension if present
-  path = path.replace(/\.html$/, '');
+function getDocStructure() {
+  return docCatalogue.categories;
+}
 
-  // Try multiple patterns to extract the page path
-  // Pattern 1: GitHub Pages - /CSharpMT5/path/to/page/
-  let match = path.match(/\/CSharpMT5\/(.+?)(?:\/)?$/);
-  if (match && match[1] !== '') {
-    // Decode URL encoding (e.g., %20 -> space)
-    return decodeURIComponent(match[1].replace(/\/$/, ''));
-  }
+function getCatalogueSource() {
+  return docCatalogue.source;
+}
 
-  // Pattern 2: Local server - /path/to/page/
-  match = path.match(/^\/(.+?)(?:\/)?$/);
-  if (match && match[1] !== '' && match[1] !== 'index') {
-    // Decode URL encoding (e.g., %20 -> space)
-    return decodeURIComponent(match[1].replace(/\/$/, ''));
+let siteRootUrl = null;
+
+function getSiteRootUrl() {
+  // Resolved once: instant navigation keeps the first page's relative __config
+  if (siteRootUrl) return siteRootUrl;
+
+  // Material for MkDocs exposes the relative site root in its __config block
+  const configElement = document.getElementById('__config');
+  if (configElement) {
+    try {
+      const config = JSON.parse(configElement.textContent);
+      if (config.base) {
+        siteRootUrl = new URL(config.base.replace(/\/?$/, '/'), window.location.href).href;
+        return siteRootUrl;
+      }
+    } catch (e) {
+      console.error('Failed to parse Material config:', e);
+    }
   }
 
-  // Pattern 3: Index page
-  if (path === '/' || path === '/CSharpMT5/' || path === '/index' || path === '/CSharpMT5/index') {
-    return 'index';
+  // Fallback: GitHub Pages project prefix or server root
+  const prefix = window.location.pathname.startsWith('/CSharpMT5/') ? '/CSharpMT5/' : '/';
+  siteRootUrl = window.location.origin + prefix;
+  return siteRootUrl;
+}
+
+function pagePathFromUrl(url, rootPathname) {
+  let path = new URL(url, window.location.href).pathname;
+
+  if (path.startsWith(rootPathname)) {
+    path = path.slice(rootPathname.length);
   }
 
-  console.log('Could not extract page path from:', path);
-  return null;
+  // Strip extension, index documents and trailing slash
+  path = path.replace(/\.html$/, '').replace(/(^|\/)index$/, '').replace(/\/$/, '');
+
+  return path === '' ? 'index' : decodeURIComponent(path);
+}
+
+function getStructurePages(structure) {
+  const pages = [];
+  Object.values(structure).forEach(category => {
+    category.pages.forEach(page => pages.push(page));
+  });
+  return pages;
+}
+
+function createCatalogue(source, pages) {
+  // Translated variants of a page are one catalogue page; `variants` keeps
+  // the files that exist so links can pick the reader's language
+  const variants = {};
+  pages.forEach(page => {
+    const canonical = getCanonicalPage(page);
+    if (!variants[canonical]) variants[canonical] = [];
+    if (!variants[canonical].includes(page)) variants[canonical].push(page);
+  });
+
+  return { source: source, categories: categorizePages(Object.keys(variants)), variants: variants };
+}
+
+function categorizePages(pages) {
+  const categories = {};
+
+  // Seed known categories so their order stays stable
+  CATEGORY_RULES.forEach(rule => {
+    categories[rule.key] = { name: rule.name, pages: [] };
+  });
+
+  pages.forEach(page => {
+    if (CATALOGUE_EXCLUDED_PAGES.includes(page)) return;
+
+    const rule = CATEGORY_RULES.find(r => r.match(page));
+    if (rule) {
+      categories[rule.key].pages.push(page);
+      return;
+    }
+
+    // New top-level folder: give it its own category
+    const folder = page.split('/')[0];
+    const key = folder.toLowerCase();
+    if (!categories[key]) {
+      categories[key] = { name: '📁 ' + folder.replace(/_/g, ' '), pages: [] };
+    }
+    categories[key].pages.push(page);
+  });
+
+  // Drop categories that ended up empty
+  Object.keys(categories).forEach(key => {
+    if (categories[key].pages.length === 0) {
+      delete categories[key];
+    }
+  });
+
+  return categories;
+}
+
+function loadDocCatalogue() {
+  const siteRoot = getSiteRootUrl();
+
+  return fetch(withDocsBuild(siteRoot + 'sitemap.xml'))
+    .then(response => {
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return response.text();
+    })
+    .then(text => {
+      const xml = new DOMParser().parseFromString(text, 'application/xml');
+      const locations = Array.from(xml.getElementsByTagName('loc')).map(loc => loc.textContent.trim());
+      if (locations.length === 0) throw new Error('Sitemap has no pages');
+
+      // Sitemap URLs use site_url, so the shortest location is the site root
+      const rootPathname = locations
+        .map(loc => new URL(loc).pathname)
+        .reduce((shortest, current) => current.length < shortest.length ? current : shortest);
+
+      const pages = [];
+      locations.forEach(loc => {
+        const page = pagePathFromUrl(loc, rootPathname);
+        if (!pages.includes(page)) pages.push(page);
+      });
+
+      const catalogue = createCatalogue('sitemap', pages);
+      cacheCatalogue(catalogue);
+      return catalogue;
+    })
+    .catch(error => {
+      console.log('Sitemap unavailable, using navigation fallback:', error.message);
+      return buildFallbackCatalogue(siteRoot);
+    });
+}
+
+function buildFallbackCatalogue(siteRoot) {
+  // Merge the hand-kept list with whatever the rendered navigation links to
+  const rootPathname = new URL(siteRoot).pathname;
+  const pages = getStructurePages(DOC_STRUCTURE);
+
+  document.querySelectorAll('.md-nav--primary a.md-nav__link[href]').forEach(link => {
+    const page = pagePathFromUrl(link.href, rootPathname);
+    if (!pages.includes(page)) pages.push(page);
+  });
+
+  return createCatalogue('fallback', pages);
+}
+
+function getCachedCatalogue() {
+  try {
+    const stored = sessionStorage.getItem(CATALOGUE_CACHE_KEY);
+    const catalogue = stored ? JSON.parse(stored) : null;
+
+    // Cached before page variants were tracked, or from an earlier deploy
+    return catalogue && catalogue.variants && catalogue.build === getDocsBuild() ? catalogue : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cacheCatalogue(catalogue) {
+  try {
+    sessionStorage.setItem(CATALOGUE_CACHE_KEY, JSON.stringify(Object.assign({ build: getDocsBuild() }, catalogue)));
+  } catch (e) {
+    // Storage full or disabled - the catalogue is simply refetched next page
+  }
+}
+
+function getPageVariant(page, language = getUxLanguage()) {
+  // Catalogue pages resolve to the variant in the reader's language, else English
+  const variants = (docCatalogue.variants && docCatalogue.variants[page]) || [page];
+  return variants.find(variant => getPageLanguage(variant) === language) ||
+    variants.find(variant => getPageLanguage(variant) === DEFAULT_UX_LANGUAGE) ||
+    variants[0];
+}
+
+function getPageUrl(page, language = getUxLanguage()) {
+  if (page === 'index') return getSiteRootUrl();
+
+  const file = getPageVariant(page, language);
+  return getSiteRootUrl() + file.split('/').map(encodeURIComponent).join('/') + '/';
+}
+
+function getPageTitle(page) {
+  // "MT5Sugar/10. Market_ByRisk/BuyMarketByRisk" -> "BuyMarketByRisk"
+  const name = page.split('/').pop();
+  return name
+    .replace(/\.(ru|EN|README\.EN)$/, '')
+    .replace(/\.HOW_IT_WORKS$/, ' — How it works')
+    .replace(/[._]/g, ' ');
+}
+
+function getCataloguePages() {
+  return getStructurePages(getDocStructure());
+}
+
+function getStalePages(progress) {
+  // Only the sitemap is authoritative enough to call a page gone
+  if (getCatalogueSource() !== 'sitemap') return [];
+
+  const pages = getCataloguePages();
+  return progress.visitedPages.filter(page =>
+    !CATALOGUE_EXCLUDED_PAGES.includes(page) && !pages.includes(page)
+  );
+}
+
+function removeStalePages() {
+  const progress = getProgress();
+  const stale = getStalePages(progress);
+  if (stale.length === 0) return;
+
+  progress.visitedPages = progress.visitedPages.filter(page => !stale.includes(page));
+  stale.forEach(page => {
+    if (progress.pages) delete progress.pages[page];
+  });
+  saveProgress(progress);
+  updateProgressDisplay();
+}
+
+function getCurrentPagePath() {
+  // Translated variants share their page's progress
+  return getCanonicalPage(getCurrentPageVariant());
+}
+
+function getCurrentPageVariant() {
+  // Resolve against the site root so paths match the sitemap catalogue,
+  // e.g. "Your_First_Project.ru" for the Russian variant
+  const rootPathname = new URL(getSiteRootUrl()).pathname;
+  return pagePathFromUrl(window.location.href, rootPathname);
+}
+
+// ============================================================================
+// PROGRESS STORE - Versioned schema, migrations, recovery, import/export
+// ============================================================================
+
+// Bump together with a new PROGRESS_MIGRATIONS entry whenever the stored shape
+// changes or doc pages are renamed
+const PROGRESS_SCHEMA_VERSION = 7;
+const PROGRESS_EXPORT_FORMAT = 'csharpmt5-docs-progress';
+const PROGRESS_BACKUP_KEY = 'csharpmt5_docs_progress_backup';
+
+// Keys used before the schema was versioned
+const LEGACY_PERCENTAGE_KEY = 'last_percentage';
+const LEGACY_MILESTONES_KEY = 'shown_milestones';
+
+// Unversioned data is treated as version 1. Each migration lifts data to its
+// `version`; `renames` maps old page paths to new ones so read status survives.
+// `migrate` gets { local } - true for this browser's store, false for imports.
+const PROGRESS_MIGRATIONS = [
+  {
+    version: 2,
+    renames: {
+      // The old URL parser recorded the GitHub Pages home page as 'CSharpMT5'
+      'CSharpMT5': 'index'
+    },
+    migrate(progress, context) {
+      // Fold the loose milestone keys into the store so they export with it.
+      // They belong to this browser, so an imported file never picks them up
+      if (!context.local) return progress;
+
+      progress.lastPercentage = parseFloat(localStorage.getItem(LEGACY_PERCENTAGE_KEY) || '0') || 0;
+      try {
+        progress.shownMilestones = JSON.parse(localStorage.getItem(LEGACY_MILESTONES_KEY) || '[]');
+      } catch (e) {
+        progress.shownMilestones = [];
+      }
+      return progress;
+    }
+  },
+  {
+    // Bookmarks and notes joined the store; normalizeProgress adds the empty map
+    version: 3
+  },
+  {
+    // Quiz results joined the store; normalizeProgress adds the empty map
+    version: 4
+  },
+  {
+    version: 5,
+    migrate(progress) {
+      // Translated variants (Your_First_Project.ru) now count as their page
+      const renames = {};
+      progress.visitedPages
+        .concat(Object.keys(progress.pages))
+        .concat(Object.values(progress.bookmarks).map(bookmark => bookmark.page))
+        .concat(Object.values(progress.quizzes).map(record => record.page))
+        .forEach(page => {
+          if (getCanonicalPage(page) !== page) renames[page] = getCanonicalPage(page);
+        });
+      applyPageRenames(progress, renames);
+      return progress;
+    }
+  },
+  {
+    version: 6,
+    migrate(progress) {
+      // Visit timestamps joined page records; the last visit is all that's known
+      Object.values(progress.pages).forEach(record => {
+        if (record.visits.length === 0 && record.lastVisitedAt) record.visits = [record.lastVisitedAt];
+      });
+      return progress;
+    }
+  },
+  {
+    version: 7,
+    migrate(progress) {
+      // Percentage milestones became achievements. Ones already celebrated stay
+      // shown, and the next check records everything else earned so far quietly
+      (Array.isArray(progress.shownMilestones) ? progress.shownMilestones : []).forEach(percentage => {
+        if (!progress.achievements['progress-' + percentage]) {
+          progress.achievements['progress-' + percentage] = { unlockedAt: progress.lastVisit, shown: true };
+        }
+      });
+      delete progress.shownMilestones;
+      progress.achievementsBaseline = true;
+      return progress;
+    }
+  }
+];
+
+const STATE_RANK = { unvisited: 0, skimmed: 1, read: 2 };
+
+// Problem found while loading or importing, shown in the progress panel
+let progressNotice = null;
+
+function createEmptyProgress() {
+  return {
+    version: PROGRESS_SCHEMA_VERSION,
+    visitedPages: [],
+    pages: {},
+    lastVisit: new Date().toISOString(),
+    lastPercentage: 0,
+    achievements: {},
+    activePath: DEFAULT_LEARNING_PATH,
+    bookmarks: {},
+    quizzes: {},
+    activity: {}
+  };
 }
 
 function getProgress() {
   const stored = localStorage.getItem(PROGRESS_STORAGE_KEY);
-  if (stored) {
+  if (!stored) return createEmptyProgress();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (e) {
+    console.error('Failed to parse progress data:', e);
+    return recoverProgress(stored);
+  }
+
+  const fromVersion = parsed && parsed.version;
+  const progress = migrateProgress(parsed, { local: true });
+  if (!progress) return recoverProgress(stored);
+
+  // Persist upgrades once, and clean up the keys they absorbed
+  if (fromVersion !== progress.version) {
+    saveProgress(progress);
+    localStorage.removeItem(LEGACY_PERCENTAGE_KEY);
+    localStorage.removeItem(LEGACY_MILESTONES_KEY);
+  }
+  return progress;
+}
+
+function saveProgress(progress) {
+  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+}
+
+function migrateProgress(data, context = { local: false }) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  // Written by a newer tracker - use it as-is rather than guessing
+  const version = data.version || 1;
+  if (isNewerProgress(data)) return normalizeProgress(data);
+
+  let progress = normalizeProgress(data);
+  PROGRESS_MIGRATIONS
+    .filter(migration => migration.version > version)
+    .forEach(migration => {
+      progress = migration.migrate ? migration.migrate(progress, context) : progress;
+      applyPageRenames(progress, migration.renames || {});
+      progress.version = migration.version;
+    });
+
+  return progress;
+}
+
+function isNewerProgress(data) {
+  return (data.version || 1) > PROGRESS_SCHEMA_VERSION;
+}
+
+function noticeNewerProgress() {
+  // Checked once per page load: getProgress() runs far too often to warn from there
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    if (stored && isNewerProgress(stored)) setProgressNotice('warning', uxText('notice.newerVersion'));
+  } catch (e) {
+    // Damaged data gets its own notice from recoverProgress()
+  }
+}
+
+function normalizeProgress(data) {
+  // Repair missing or mistyped fields without throwing the rest away
+  const progress = Object.assign(createEmptyProgress(), data);
+
+  if (!Array.isArray(progress.visitedPages)) progress.visitedPages = [];
+  progress.visitedPages = progress.visitedPages.filter(page => typeof page === 'string');
+
+  if (!progress.pages || typeof progress.pages !== 'object' || Array.isArray(progress.pages)) {
+    progress.pages = {};
+  }
+  Object.keys(progress.pages).forEach(page => {
+    const record = progress.pages[page];
+    if (!record || !(record.state in STATE_RANK)) {
+      delete progress.pages[page];
+      return;
+    }
+    if (!Array.isArray(record.visits)) record.visits = [];
+    record.visits = record.visits.filter(visit => typeof visit === 'string');
+  });
+
+  if (!progress.bookmarks || typeof progress.bookmarks !== 'object' || Array.isArray(progress.bookmarks)) {
+    progress.bookmarks = {};
+  }
+  Object.keys(progress.bookmarks).forEach(key => {
+    const bookmark = progress.bookmarks[key];
+    if (!bookmark || typeof bookmark.page !== 'string' || typeof bookmark.anchor !== 'string') {
+      delete progress.bookmarks[key];
+    }
+  });
+
+  if (!progress.quizzes || typeof progress.quizzes !== 'object' || Array.isArray(progress.quizzes)) {
+    progress.quizzes = {};
+  }
+  Object.keys(progress.quizzes).forEach(id => {
+    const record = progress.quizzes[id];
+    if (!record || typeof record.page !== 'string' || typeof record.total !== 'number') {
+      delete progress.quizzes[id];
+    }
+  });
+
+  if (!progress.activity || typeof progress.activity !== 'object' || Array.isArray(progress.activity)) {
+    progress.activity = {};
+  }
+  Object.keys(progress.activity).forEach(day => {
+    if (typeof progress.activity[day] !== 'number') delete progress.activity[day];
+  });
+
+  if (!progress.achievements || typeof progress.achievements !== 'object' || Array.isArray(progress.achievements)) {
+    progress.achievements = {};
+  }
+  Object.keys(progress.achievements).forEach(id => {
+    const record = progress.achievements[id];
+    if (!record || typeof record.unlockedAt !== 'string') delete progress.achievements[id];
+  });
+
+  if (typeof progress.lastPercentage !== 'number') progress.lastPercentage = 0;
+  if (!LEARNING_PATHS[progress.activePath]) progress.activePath = DEFAULT_LEARNING_PATH;
+  progress.version = data.version || 1;
+
+  return progress;
+}
+
+function applyPageRenames(progress, renames) {
+  Object.entries(renames).forEach(([oldPath, newPath]) => {
+    if (progress.visitedPages.includes(oldPath)) {
+      progress.visitedPages = progress.visitedPages.filter(page => page !== oldPath);
+      if (!progress.visitedPages.includes(newPath)) progress.visitedPages.push(newPath);
+    }
+
+    if (progress.pages[oldPath]) {
+      progress.pages[newPath] = mergePageRecords(progress.pages[newPath], progress.pages[oldPath]);
+      delete progress.pages[oldPath];
+    }
+
+    Object.keys(progress.bookmarks).forEach(key => {
+      const bookmark = progress.bookmarks[key];
+      if (bookmark.page !== oldPath) return;
+
+      delete progress.bookmarks[key];
+      const renamed = Object.assign({}, bookmark, { page: newPath });
+      const newKey = getBookmarkKey(newPath, bookmark.anchor);
+      progress.bookmarks[newKey] = mergeBookmarks(progress.bookmarks[newKey], renamed);
+    });
+
+    Object.values(progress.quizzes).forEach(record => {
+      if (record.page === oldPath) record.page = newPath;
+    });
+  });
+}
+
+function mergePageRecords(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const best = STATE_RANK[a.state] >= STATE_RANK[b.state] ? a : b;
+  return Object.assign({}, best, {
+    lastVisitedAt: (a.lastVisitedAt || '') > (b.lastVisitedAt || '') ? a.lastVisitedAt : b.lastVisitedAt,
+    activeSeconds: Math.max(a.activeSeconds || 0, b.activeSeconds || 0),
+    readingSeconds: Math.max(getPageReadingSeconds(a), getPageReadingSeconds(b)),
+    scrollDepth: Math.max(a.scrollDepth || 0, b.scrollDepth || 0),
+    sectionsSeen: Array.from(new Set((a.sectionsSeen || []).concat(b.sectionsSeen || []))),
+    visits: Array.from(new Set((a.visits || []).concat(b.visits || []))).sort().slice(-ANALYTICS_MAX_VISITS)
+  });
+}
+
+function mergeBookmarks(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  // The most recently edited note wins
+  return (a.updatedAt || '') >= (b.updatedAt || '') ? a : b;
+}
+
+function mergeQuizRecords(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  // Latest attempt, but a pass or a best score is never lost
+  const latest = (a.takenAt || '') >= (b.takenAt || '') ? a : b;
+  return Object.assign({}, latest, {
+    bestScore: Math.max(a.bestScore || 0, b.bestScore || 0),
+    passed: !!(a.passed || b.passed),
+    attempts: Math.max(a.attempts || 0, b.attempts || 0)
+  });
+}
+
+function mergeProgress(current, incoming) {
+  const merged = Object.assign({}, current);
+
+  merged.visitedPages = Array.from(new Set(current.visitedPages.concat(incoming.visitedPages)));
+  merged.pages = Object.assign({}, current.pages);
+  Object.entries(incoming.pages).forEach(([page, record]) => {
+    merged.pages[page] = mergePageRecords(merged.pages[page], record);
+  });
+  merged.bookmarks = Object.assign({}, current.bookmarks);
+  Object.entries(incoming.bookmarks).forEach(([key, bookmark]) => {
+    merged.bookmarks[key] = mergeBookmarks(merged.bookmarks[key], bookmark);
+  });
+  merged.quizzes = Object.assign({}, current.quizzes);
+  Object.entries(incoming.quizzes).forEach(([id, record]) => {
+    merged.quizzes[id] = mergeQuizRecords(merged.quizzes[id], record);
+  });
+  // The same days may be in both, e.g. an export imported back - never add them up
+  merged.activity = Object.assign({}, current.activity);
+  Object.entries(incoming.activity).forEach(([day, seconds]) => {
+    merged.activity[day] = Math.max(merged.activity[day] || 0, seconds);
+  });
+  trimReadingActivity(merged.activity);
+  merged.achievements = Object.assign({}, current.achievements);
+  Object.entries(incoming.achievements).forEach(([id, record]) => {
+    const existing = merged.achievements[id];
+    merged.achievements[id] = existing ? {
+      unlockedAt: existing.unlockedAt < record.unlockedAt ? existing.unlockedAt : record.unlockedAt,
+      shown: !!(existing.shown || record.shown)
+    } : record;
+  });
+  merged.lastVisit = current.lastVisit > incoming.lastVisit ? current.lastVisit : incoming.lastVisit;
+
+  return merged;
+}
+
+function recoverProgress(raw) {
+  // Keep the damaged data so nothing is lost, then salvage page paths from it
+  localStorage.setItem(PROGRESS_BACKUP_KEY, raw);
+
+  const known = getCataloguePages();
+  const salvaged = [];
+  const stringPattern = /"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = stringPattern.exec(raw)) !== null) {
+    let value;
     try {
-      return JSON.parse(stored);
+      value = JSON.parse(match[0]);
     } catch (e) {
-      console.error('Failed to parse progress data:', e);
+      continue;
     }
+    if (known.includes(value) && !salvaged.includes(value)) salvaged.push(value);
+  }
+
+  const progress = createEmptyProgress();
+  progress.visitedPages = salvaged;
+  saveProgress(progress);
+
+  setProgressNotice('error', uxText('notice.recovered', { count: salvaged.length }), true);
+
+  return progress;
+}
+
+function setProgressNotice(type, message, hasBackup = false) {
+  progressNotice = { type: type, message: message, hasBackup: hasBackup };
+  renderProgressNotice();
+}
+
+function renderProgressNotice() {
+  const notice = document.getElementById('progress-notice');
+  if (!notice) return;
+
+  // A backup left from an earlier page load still deserves a mention
+  if (!progressNotice && localStorage.getItem(PROGRESS_BACKUP_KEY)) {
+    progressNotice = {
+      type: 'error',
+      message: uxText('notice.backupStored'),
+      hasBackup: true
+    };
+  }
+
+  notice.hidden = !progressNotice;
+  if (!progressNotice) return;
+
+  notice.dataset.type = progressNotice.type;
+  document.getElementById('progress-notice-text').textContent = progressNotice.message;
+  document.getElementById('progress-notice-backup').hidden = !progressNotice.hasBackup;
+}
+
+function dismissProgressNotice() {
+  if (progressNotice && progressNotice.hasBackup) {
+    if (!confirm(uxText('notice.discardBackup'))) return;
+    localStorage.removeItem(PROGRESS_BACKUP_KEY);
+  }
+  progressNotice = null;
+  renderProgressNotice();
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadProgressBackup() {
+  const backup = localStorage.getItem(PROGRESS_BACKUP_KEY);
+  if (backup) {
+    downloadFile('csharpmt5-docs-progress-damaged.txt', backup, 'text/plain');
   }
+}
+
+function exportProgress() {
+  // Save the current page's engagement before taking the snapshot
+  flushReadingSession();
+
+  const payload = {
+    format: PROGRESS_EXPORT_FORMAT,
+    version: PROGRESS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    progress: getProgress()
+  };
+
+  const date = payload.exportedAt.slice(0, 10);
+  downloadFile(`csharpmt5-docs-progress-${date}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+function importProgressFile(file) {
+  const reader = new FileReader();
+
+  reader.onload = () => {
+    let payload;
+    try {
+      payload = JSON.parse(reader.result);
+    } catch (e) {
+      setProgressNotice('error', uxText('import.invalidJson', { file: file.name }));
+      return;
+    }
+
+    if (!payload || payload.format !== PROGRESS_EXPORT_FORMAT || !payload.progress) {
+      setProgressNotice('error', uxText('import.wrongFormat', { file: file.name }));
+      return;
+    }
+
+    // Exports carry their own schema version, so old files migrate like stored data
+    const incoming = migrateProgress(Object.assign({}, payload.progress, {
+      version: payload.progress.version || payload.version
+    }));
+    if (!incoming) {
+      setProgressNotice('error', uxText('import.noData', { file: file.name }));
+      return;
+    }
+
+    stopReadingSession();
+    saveProgress(mergeProgress(getProgress(), incoming));
+    trackPageVisit();
+    updateProgressDisplay();
+    refreshBookmarks();
+
+    const readCount = Object.values(incoming.pages).filter(record => record.state === PAGE_STATES.READ).length;
+    const message = uxText('import.success', {
+      pages: uxText('import.pages', { count: incoming.visitedPages.length }),
+      read: readCount,
+      bookmarks: uxText('import.bookmarks', { count: Object.keys(incoming.bookmarks).length })
+    });
+    if (isNewerProgress(incoming)) {
+      setProgressNotice('warning', message + ' ' + uxText('notice.newerVersion'));
+    } else {
+      setProgressNotice('success', message);
+    }
+  };
+
+  reader.onerror = () => {
+    setProgressNotice('error', uxText('import.readFailed', { file: file.name }));
+  };
+
+  reader.readAsText(file);
+}
+
+// ============================================================================
+// READING ENGAGEMENT - Scroll depth, active time and sections seen per page
+// ============================================================================
+
+const PAGE_STATES = {
+  UNVISITED: 'unvisited',
+  SKIMMED: 'skimmed',
+  READ: 'read'
+};
+
+// Defaults for extra.ux.reading in mkdocs.yml
+const READING_DEFAULTS = {
+  minScrollDepth: 0.8,
+  minActiveSeconds: 30,
+  minSectionRatio: 0.6,
+  idleSeconds: 60
+};
+
+const READING_TICK_MS = 1000;
+const READING_SAVE_EVERY_TICKS = 5;
+
+let readingSession = null;
+
+function getReadingThresholds() {
+  const reading = getUxConfig().reading || {};
+  const pick = (value, fallback) => Number.isFinite(value) && value >= 0 ? value : fallback;
+  const idleSeconds = pick(reading.idle_seconds, READING_DEFAULTS.idleSeconds);
 
-  // Default progress structure
   return {
-    visitedPages: [],
-    lastVisit: new Date().toISOString()
+    minScrollDepth: Math.min(pick(reading.min_scroll_depth, READING_DEFAULTS.minScrollDepth), 1),
+    minActiveSeconds: pick(reading.min_active_seconds, READING_DEFAULTS.minActiveSeconds),
+    minSectionRatio: Math.min(pick(reading.min_section_ratio, READING_DEFAULTS.minSectionRatio), 1),
+    // 0 turns the idle cutoff off
+    idleSeconds: idleSeconds > 0 ? idleSeconds : Infinity
   };
 }
 
-function saveProgress(progress) {
-  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+function getPageRecord(progress, path) {
+  if (!progress.pages) progress.pages = {};
+
+  if (!progress.pages[path]) {
+    progress.pages[path] = {
+      state: PAGE_STATES.SKIMMED,
+      activeSeconds: 0,
+      readingSeconds: 0,
+      scrollDepth: 0,
+      sectionsSeen: [],
+      visits: []
+    };
+  }
+  return progress.pages[path];
 }
 
-function createProgressBar() {
-  // Check if progress bar already exists
-  if (document.getElementById('progress-float-btn')) return;
+function getPageState(progress, path) {
+  const record = progress.pages && progress.pages[path];
+  if (record) return record.state;
 
-  const progressHTML = `
-    <!-- Mini Header Progress Bar -->
-    <div class="header-progress-bar">
-      <div class="header-progress-fill" id="header-progress-fill" style="width: 0%"></div>
-    </div>
+  // Pages visited before engagement tracking existed count as skimmed
+  return progress.visitedPages.includes(path) ? PAGE_STATES.SKIMMED : PAGE_STATES.UNVISITED;
+}
+
+function isPageRead(progress, path) {
+  return getPageState(progress, path) === PAGE_STATES.READ;
+}
+
+function getTrackedSections() {
+  return Array.from(document.querySelectorAll('.md-content h2[id], .md-content h3[id]'));
+}
+
+function startReadingSession(path) {
+  // Reset or import restart tracking on the same page - keep one session
+  if (readingSession && readingSession.path === path) return;
+  stopReadingSession();
+
+  const content = document.querySelector('.md-content');
+  if (!content) return;
+
+  const record = getPageRecord(getProgress(), path);
+  const sections = getTrackedSections();
+
+  readingSession = {
+    path: path,
+    // The variant on screen, whose fingerprint a read stores
+    variant: getCurrentPageVariant(),
+    content: content,
+    thresholds: getReadingThresholds(),
+    read: record.state === PAGE_STATES.READ,
+    activeMs: (record.activeSeconds || 0) * 1000,
+    // Part of activeMs already added to the day's activity
+    bookedMs: (record.activeSeconds || 0) * 1000,
+    maxScroll: record.scrollDepth || 0,
+    seenSections: new Set(record.sectionsSeen || []),
+    sectionIds: sections.map(section => section.id),
+    lastActivity: Date.now(),
+    ticks: 0,
+    observer: null,
+    timer: null
+  };
+
+  // Sections count as seen once their heading enters the viewport
+  if (window.IntersectionObserver && sections.length > 0) {
+    readingSession.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting && readingSession) {
+          readingSession.seenSections.add(entry.target.id);
+        }
+      });
+    });
+    sections.forEach(section => readingSession.observer.observe(section));
+  }
+
+  ['scroll', 'mousemove', 'keydown', 'touchstart', 'pointerdown'].forEach(type => {
+    window.addEventListener(type, onReadingActivity, { passive: true });
+  });
+  window.addEventListener('pagehide', flushReadingSession);
+  document.addEventListener('visibilitychange', onReadingVisibilityChange);
+
+  updateScrollDepth();
+  readingSession.timer = setInterval(onReadingTick, READING_TICK_MS);
+}
+
+function stopReadingSession(save = true) {
+  if (!readingSession) return;
+
+  if (save) flushReadingSession();
+  clearInterval(readingSession.timer);
+  if (readingSession.observer) readingSession.observer.disconnect();
+
+  ['scroll', 'mousemove', 'keydown', 'touchstart', 'pointerdown'].forEach(type => {
+    window.removeEventListener(type, onReadingActivity);
+  });
+  window.removeEventListener('pagehide', flushReadingSession);
+  document.removeEventListener('visibilitychange', onReadingVisibilityChange);
+
+  readingSession = null;
+}
+
+function onReadingActivity(e) {
+  if (!readingSession) return;
+  readingSession.lastActivity = Date.now();
+  if (e.type === 'scroll') updateScrollDepth();
+}
+
+function onReadingVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    flushReadingSession();
+  } else if (readingSession) {
+    readingSession.lastActivity = Date.now();
+  }
+}
+
+function updateScrollDepth() {
+  const session = readingSession;
+  const rect = session.content.getBoundingClientRect();
+
+  // Content shorter than the viewport is fully seen
+  const depth = rect.height <= window.innerHeight
+    ? 1
+    : (window.innerHeight - rect.top) / rect.height;
+
+  session.maxScroll = Math.max(session.maxScroll, Math.min(Math.max(depth, 0), 1));
+}
+
+function onReadingTick() {
+  const session = readingSession;
+  if (!session) return;
+
+  const idleMs = Date.now() - session.lastActivity;
+
+  // Only count time while the tab is visible and the reader isn't idle
+  if (document.visibilityState === 'visible' && idleMs < session.thresholds.idleSeconds * 1000) {
+    session.activeMs += READING_TICK_MS;
+  }
+
+  // The session knows whether the page is read; the store is only read on save
+  session.ticks++;
+  const becameRead = !session.read && meetsReadThresholds(session, session.thresholds);
+
+  if (becameRead || session.ticks % READING_SAVE_EVERY_TICKS === 0) {
+    flushReadingSession();
+  }
+}
+
+function getSectionRatio(session) {
+  if (session.sectionIds.length === 0) return 1;
+
+  const seen = session.sectionIds.filter(id => session.seenSections.has(id)).length;
+  return seen / session.sectionIds.length;
+}
+
+function meetsReadThresholds(session, thresholds) {
+  return session.maxScroll >= thresholds.minScrollDepth &&
+    session.activeMs >= thresholds.minActiveSeconds * 1000 &&
+    getSectionRatio(session) >= thresholds.minSectionRatio;
+}
+
+function flushReadingSession() {
+  const session = readingSession;
+  if (!session) return;
+
+  const progress = getProgress();
+  const record = getPageRecord(progress, session.path);
+  const wasRead = record.state === PAGE_STATES.READ;
+
+  // Every tab books its own time: another tab with the same page open may
+  // have saved more, but the time spent here still happened
+  const unbookedSeconds = Math.floor((session.activeMs - session.bookedMs) / 1000);
+  if (unbookedSeconds > 0) {
+    addReadingActivity(progress, unbookedSeconds);
+    record.readingSeconds = getPageReadingSeconds(record) + unbookedSeconds;
+    session.bookedMs += unbookedSeconds * 1000;
+  }
+
+  // The page keeps the longest time any one tab saved - never lower it
+  const activeSeconds = Math.round(session.activeMs / 1000);
+  record.activeSeconds = Math.max(record.activeSeconds || 0, activeSeconds);
+  record.scrollDepth = Math.max(record.scrollDepth || 0, Math.round(session.maxScroll * 100) / 100);
+  record.sectionsSeen = Array.from(new Set((record.sectionsSeen || []).concat(Array.from(session.seenSections))));
+
+  // Once read, a page stays read
+  if (!wasRead && meetsReadThresholds(session, session.thresholds)) {
+    record.state = PAGE_STATES.READ;
+    record.readAt = new Date().toISOString();
+
+    // What was read, to tell when the page changes later
+    const fingerprint = getPageFingerprint(session.path, session.variant);
+    if (fingerprint) {
+      record.fingerprint = fingerprint;
+      record.fingerprintVariant = session.variant;
+    }
+  }
+
+  saveProgress(progress);
+  session.read = record.state === PAGE_STATES.READ;
+
+  if (!wasRead && session.read) {
+    updateProgressDisplay();
+  } else {
+    updateCurrentPageStatus(progress);
+    updateTocMarkers(progress);
+  }
+}
+
+function updateCurrentPageStatus(progress = getProgress()) {
+  const status = document.getElementById('progress-current-page');
+  if (!status || !readingSession) return;
+
+  const state = getPageState(progress, readingSession.path);
+
+  status.dataset.state = state;
+  status.textContent = uxText('progress.pageStatus', {
+    state: uxText('progress.state.' + state),
+    scroll: Math.round(readingSession.maxScroll * 100),
+    seconds: Math.round(readingSession.activeMs / 1000),
+    sections: Math.round(getSectionRatio(readingSession) * 100)
+  });
+}
+
+// ============================================================================
+// READING ANALYTICS - Visit history, active time per day, streaks
+// ============================================================================
+
+// Visits to the same page closer together than this count once (reloads,
+// quick back-and-forth)
+const ANALYTICS_VISIT_GAP_MS = 30 * 60 * 1000;
+const ANALYTICS_MAX_VISITS = 50;
+const ANALYTICS_KEEP_DAYS = 365;
+const ANALYTICS_TIMELINE_DAYS = 7;
+const ANALYTICS_TOP_PAGES = 5;
+const ANALYTICS_PAGES_PER_DAY = 3;
+
+function recordPageVisit(record, now) {
+  const visits = record.visits || [];
+  const last = visits[visits.length - 1];
+  if (!last || Date.parse(now) - Date.parse(last) >= ANALYTICS_VISIT_GAP_MS) visits.push(now);
+
+  record.visits = visits.slice(-ANALYTICS_MAX_VISITS);
+  record.lastVisitedAt = now;
+}
+
+function addReadingActivity(progress, seconds, date = new Date()) {
+  const day = getDayKey(date);
+  progress.activity[day] = (progress.activity[day] || 0) + seconds;
+  trimReadingActivity(progress.activity);
+}
+
+function trimReadingActivity(activity) {
+  // Keys sort by date, so the oldest days go first
+  Object.keys(activity).sort().slice(0, -ANALYTICS_KEEP_DAYS).forEach(old => {
+    delete activity[old];
+  });
+}
+
+// Local calendar day, "2026-10-19"
+function getDayKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function shiftDayKey(day, days) {
+  // Noon keeps daylight saving changes from skipping or repeating a day
+  const date = new Date(day + 'T12:00:00');
+  date.setDate(date.getDate() + days);
+  return getDayKey(date);
+}
+
+function getReadingDays(progress) {
+  const days = new Set(Object.keys(progress.activity).filter(day => progress.activity[day] > 0));
+  Object.values(progress.pages).forEach(record => {
+    (record.visits || []).forEach(visit => days.add(getDayKey(new Date(visit))));
+  });
+  return days;
+}
+
+// Consecutive days with reading. Today still counts as unbroken until it ends
+function getReadingStreak(progress, now = new Date()) {
+  const days = getReadingDays(progress);
+
+  let current = 0;
+  let day = getDayKey(now);
+  if (!days.has(day)) day = shiftDayKey(day, -1);
+  while (days.has(day)) {
+    current++;
+    day = shiftDayKey(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  Array.from(days).sort().forEach(key => {
+    run = previous && shiftDayKey(previous, 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+
+  return { current: current, longest: longest };
+}
+
+// One entry per day, oldest first: active seconds and the pages visited
+function getReadingTimeline(progress, days = ANALYTICS_TIMELINE_DAYS, now = new Date()) {
+  const visitsByDay = {};
+  Object.entries(progress.pages).forEach(([page, record]) => {
+    (record.visits || []).forEach(visit => {
+      const day = getDayKey(new Date(visit));
+      if (!visitsByDay[day]) visitsByDay[day] = {};
+      // Latest visit of the day decides the order
+      if (!visitsByDay[day][page] || visitsByDay[day][page] < visit) visitsByDay[day][page] = visit;
+    });
+  });
+
+  const timeline = [];
+  const today = getDayKey(now);
+  for (let i = days - 1; i >= 0; i--) {
+    const day = shiftDayKey(today, -i);
+    const visited = visitsByDay[day] || {};
+    timeline.push({
+      day: day,
+      seconds: progress.activity[day] || 0,
+      pages: Object.keys(visited).sort((a, b) => (visited[a] < visited[b] ? 1 : -1))
+    });
+  }
+  return timeline;
+}
+
+// Lifetime time on the page for analytics. activeSeconds only counts toward the
+// read thresholds and starts over when an updated page is to be reread;
+// records saved before readingSeconds existed have only activeSeconds
+function getPageReadingSeconds(record) {
+  return typeof record.readingSeconds === 'number' ? record.readingSeconds : record.activeSeconds || 0;
+}
+
+function getCategoryReadingTime(progress) {
+  return Object.entries(getDocStructure())
+    .map(([key, category]) => ({
+      key: key,
+      name: uxTextOr('category.' + key, category.name),
+      seconds: category.pages.reduce((total, page) => {
+        const record = progress.pages[page];
+        return total + (record ? getPageReadingSeconds(record) : 0);
+      }, 0)
+    }))
+    .filter(category => category.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds);
+}
+
+function getMostRevisitedPages(progress, limit = ANALYTICS_TOP_PAGES) {
+  return Object.entries(progress.pages)
+    .map(([page, record]) => ({ page: page, visits: (record.visits || []).length, lastVisitedAt: record.lastVisitedAt || '' }))
+    .filter(entry => entry.visits > 1)
+    .sort((a, b) => b.visits - a.visits || (a.lastVisitedAt < b.lastVisitedAt ? 1 : -1))
+    .slice(0, limit);
+}
+
+function formatReadingTime(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) return uxText('analytics.underMinute');
+  if (minutes < 60) return uxText('analytics.minutes', { minutes: minutes });
+  return uxText('analytics.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
+
+function renderReadingAnalytics(progress) {
+  const section = document.getElementById('progress-analytics-section');
+  if (!section) return;
+
+  const timeline = getReadingTimeline(progress);
+  const streak = getReadingStreak(progress);
+  const categories = getCategoryReadingTime(progress);
+  const revisited = getMostRevisitedPages(progress);
+  const weekSeconds = timeline.reduce((total, entry) => total + entry.seconds, 0);
+
+  document.getElementById('analytics-streak').textContent = uxText('analytics.streak', { count: streak.current });
+  document.getElementById('analytics-longest').textContent = uxText('analytics.longest', { count: streak.longest });
+  document.getElementById('analytics-week').textContent = uxText('analytics.week', { time: formatReadingTime(weekSeconds) });
+
+  // Timeline: a bar per day, scaled to the busiest one
+  const maxSeconds = Math.max(...timeline.map(entry => entry.seconds), 1);
+  const timelineList = document.getElementById('analytics-timeline');
+  timelineList.innerHTML = '';
+  timeline.slice().reverse().forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'analytics-day';
+    item.innerHTML = `
+      <div class="analytics-day-header">
+        <span class="analytics-day-label"></span>
+        <span class="analytics-day-time"></span>
+      </div>
+      <div class="progress-bar-wrapper small"><div class="progress-bar-fill"></div></div>
+      <ul class="analytics-day-pages"></ul>
+    `;
+    item.querySelector('.analytics-day-label').textContent = new Date(entry.day + 'T12:00:00')
+      .toLocaleDateString(getUxLanguage(), { weekday: 'short', day: 'numeric', month: 'short' });
+    item.querySelector('.analytics-day-time').textContent = entry.seconds > 0 ? formatReadingTime(entry.seconds) : '';
+    item.querySelector('.progress-bar-fill').style.width = Math.round(entry.seconds / maxSeconds * 100) + '%';
+
+    const pages = item.querySelector('.analytics-day-pages');
+    entry.pages.slice(0, ANALYTICS_PAGES_PER_DAY).forEach(page => pages.appendChild(createAnalyticsPageItem(page)));
+    if (entry.pages.length > ANALYTICS_PAGES_PER_DAY) {
+      const more = document.createElement('li');
+      more.textContent = uxText('analytics.more', { count: entry.pages.length - ANALYTICS_PAGES_PER_DAY });
+      pages.appendChild(more);
+    }
+    timelineList.appendChild(item);
+  });
+
+  // Share of the total reading time per category
+  const categoryList = document.getElementById('analytics-categories');
+  const totalSeconds = categories.reduce((total, category) => total + category.seconds, 0);
+  categoryList.innerHTML = '';
+  categories.forEach(category => {
+    const row = document.createElement('div');
+    row.className = 'progress-category';
+    row.innerHTML = `
+      <div class="progress-category-header">
+        <span class="progress-category-name"></span>
+        <span class="progress-category-count"></span>
+      </div>
+      <div class="progress-bar-wrapper small"><div class="progress-bar-fill"></div></div>
+    `;
+    row.querySelector('.progress-category-name').textContent = category.name;
+    row.querySelector('.progress-category-count').textContent = formatReadingTime(category.seconds);
+    row.querySelector('.progress-bar-fill').style.width = Math.round(category.seconds / totalSeconds * 100) + '%';
+    categoryList.appendChild(row);
+  });
+
+  const revisitedList = document.getElementById('analytics-revisited');
+  revisitedList.innerHTML = '';
+  revisited.forEach(entry => {
+    const item = createAnalyticsPageItem(entry.page);
+    const count = document.createElement('span');
+    count.className = 'analytics-visits';
+    count.textContent = uxText('analytics.visits', { count: entry.visits });
+    item.appendChild(count);
+    revisitedList.appendChild(item);
+  });
+
+  document.getElementById('analytics-categories-block').hidden = categories.length === 0;
+  document.getElementById('analytics-revisited-block').hidden = revisited.length === 0;
+}
+
+function createAnalyticsPageItem(page) {
+  const item = document.createElement('li');
+  const link = document.createElement('a');
+  link.href = getPageUrl(page);
+  link.textContent = getPageTitle(page);
+  item.appendChild(link);
+  return item;
+}
+
+// ============================================================================
+// ACHIEVEMENTS - Declarative unlock rules, display queue and gallery
+// ============================================================================
+
+// Each rule type checks one kind of goal; `rule` holds the entry's options.
+// Sites add their own entries under extra.ux.achievements in mkdocs.yml
+const ACHIEVEMENT_RULES = {
+  // Pages read, anywhere in the docs
+  read: (rule, context) => context.readCount >= (rule.count || 1),
+  // Overall progress, as shown on the progress badge
+  overall: (rule, context) => Math.round(context.stats.overall.percentage) >= rule.percentage,
+  // Every page under a path prefix or matching a pattern
+  pages: (rule, context) => {
+    const pages = getCataloguePages().filter(page => isAchievementPage(rule, page));
+    return pages.length > 0 && pages.every(page => isPageRead(context.progress, page));
+  },
+  // A category from the progress panel, or any of them
+  category: (rule, context) => Object.entries(context.stats.categories).some(([key, category]) =>
+    (!rule.key || rule.key === key) && category.total > 0 && category.completed === category.total),
+  // A learning path, or any of them
+  path: (rule, context) => Object.keys(LEARNING_PATHS).some(key => {
+    if (rule.key && rule.key !== key) return false;
+    const stats = getPathStats(context.progress, key);
+    return stats.total > 0 && stats.completed === stats.total;
+  }),
+  // A quiz passed, or any of them
+  quiz: (rule, context) => Object.entries(context.progress.quizzes).some(([id, record]) =>
+    (!rule.id || rule.id === id) && record.passed),
+  // Days in a row with reading time
+  streak: (rule, context) => getReadingStreak(context.progress).current >= rule.days
+};
+
+const ACHIEVEMENTS = [
+  { id: 'first-page', icon: '📖', title: 'First Page', description: 'Read a page from start to finish', rule: { type: 'read', count: 1 } },
+  { id: 'progress-25', icon: '🌟', title: 'Quarter Way There!', description: '25% of the documentation read', rule: { type: 'overall', percentage: 25 } },
+  { id: 'progress-50', icon: '🎯', title: 'Halfway Champion!', description: '50% of the documentation read', rule: { type: 'overall', percentage: 50 } },
+  { id: 'progress-75', icon: '🚀', title: 'Almost There!', description: '75% of the documentation read', rule: { type: 'overall', percentage: 75 } },
+  { id: 'progress-100', icon: '🏆', title: 'Documentation Master!', description: 'All of the documentation read', rule: { type: 'overall', percentage: 100 }, confetti: true },
+  { id: 'trading-operations', icon: '💹', title: 'Order Desk', description: 'Read every MT5Account Trading Operations page', rule: { type: 'pages', prefix: 'MT5Account/4. Trading_Operattons/' } },
+  { id: 'orchestrators', icon: '🎼', title: 'Conductor', description: 'Read how every orchestrator works', rule: { type: 'pages', pattern: '^Strategies/Orchestrators_EN/[^/]+\\.HOW_IT_WORKS$' } },
+  { id: 'category', icon: '🗂️', title: 'Section Cleared', description: 'Complete a whole category', rule: { type: 'category' } },
+  { id: 'learning-path', icon: '🧭', title: 'Path Finder', description: 'Finish a learning path', rule: { type: 'path' }, confetti: true },
+  { id: 'quiz', icon: '📝', title: 'Self-Checked', description: 'Pass a quiz', rule: { type: 'quiz' } },
+  { id: 'streak-7', icon: '🔥', title: 'Week Streak', description: 'Read on 7 days in a row', rule: { type: 'streak', days: 7 } }
+];
+
+// Pause between two achievements unlocked together
+const ACHIEVEMENT_QUEUE_GAP_MS = 600;
+
+let achievementsCache = null;
+
+function getAchievements() {
+  if (achievementsCache) return achievementsCache;
+
+  const extra = getUxConfig().achievements;
+  const achievements = ACHIEVEMENTS.slice();
+  achievementsCache = achievements;
+  if (!Array.isArray(extra)) return achievements;
+
+  extra.forEach(entry => {
+    const valid = entry && typeof entry.id === 'string' && entry.rule && ACHIEVEMENT_RULES[entry.rule.type];
+    if (!valid || achievements.some(achievement => achievement.id === entry.id)) {
+      console.warn('Ignoring achievement from mkdocs.yml:', entry);
+      return;
+    }
+    achievements.push(Object.assign({ icon: '🏅', title: entry.id, description: '' }, entry));
+  });
+  return achievements;
+}
+
+function isAchievementPage(rule, page) {
+  if (rule.prefix && !page.startsWith(rule.prefix)) return false;
+  if (rule.pattern) {
+    try {
+      if (!new RegExp(rule.pattern).test(page)) return false;
+    } catch (e) {
+      return false;
+    }
+  }
+  return !!(rule.prefix || rule.pattern);
+}
+
+function getAchievementText(achievement, field) {
+  return uxTextOr(`achievement.${achievement.id}.${field}`, achievement[field]);
+}
+
+function checkAchievements(progress, stats) {
+  const context = {
+    progress: progress,
+    stats: stats,
+    readCount: Object.keys(progress.pages).filter(page => isPageRead(progress, page)).length
+  };
+  const earned = getAchievements()
+    .filter(achievement => !progress.achievements[achievement.id])
+    .filter(achievement => ACHIEVEMENT_RULES[achievement.rule.type](achievement.rule, context))
+    .map(achievement => achievement.id);
+
+  // Right after the upgrade to achievements, whatever was earned before is
+  // recorded without a celebration for each
+  const quiet = !!progress.achievementsBaseline;
+  if (earned.length === 0 && !quiet) return;
+
+  const latest = getProgress();
+  const now = new Date().toISOString();
+  earned.forEach(id => {
+    if (!latest.achievements[id]) latest.achievements[id] = { unlockedAt: now, shown: quiet };
+  });
+  delete latest.achievementsBaseline;
+  saveProgress(latest);
+}
+
+// Unlocked achievements wait in the store until a visible tab shows them, so
+// several unlocked together, or just before leaving a page, all get their turn
+function showPendingAchievements() {
+  const modal = document.getElementById('milestone-modal');
+  if (!modal || modal.classList.contains('show') || document.hidden) return;
+
+  const progress = getProgress();
+  const next = getAchievements().find(achievement => {
+    const record = progress.achievements[achievement.id];
+    return record && !record.shown;
+  });
+  if (!next) return;
+
+  claimAchievement(next.id).then(claimed => {
+    if (claimed) {
+      showMilestoneModal(next);
+      renderAchievementGallery(getProgress());
+    } else {
+      showPendingAchievements();
+    }
+  });
+}
+
+function claimAchievement(id) {
+  // Two tabs can reach the same achievement together; the first to claim it shows it
+  const claim = () => {
+    const progress = getProgress();
+    const record = progress.achievements[id];
+    if (!record || record.shown) return false;
+
+    record.shown = true;
+    saveProgress(progress);
+    return true;
+  };
+
+  if (navigator.locks && navigator.locks.request) {
+    return navigator.locks.request('csharpmt5_docs_milestones', claim);
+  }
+  return Promise.resolve(claim());
+}
+
+function renderAchievementGallery(progress) {
+  const gallery = document.getElementById('achievements-gallery');
+  if (!gallery) return;
+
+  const achievements = getAchievements();
+  const unlocked = achievements.filter(achievement => progress.achievements[achievement.id]);
+  document.getElementById('achievements-count').textContent =
+    uxText('achievements.count', { unlocked: unlocked.length, total: achievements.length });
+
+  gallery.innerHTML = '';
+  achievements.forEach(achievement => {
+    const record = progress.achievements[achievement.id];
+    const item = document.createElement('li');
+    item.className = 'achievement' + (record ? ' unlocked' : '');
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = achievement.icon;
+
+    const title = document.createElement('strong');
+    title.textContent = getAchievementText(achievement, 'title');
+
+    const detail = document.createElement('small');
+    detail.textContent = getAchievementText(achievement, 'description');
+
+    const status = document.createElement('small');
+    status.className = 'achievement-status';
+    status.textContent = record
+      ? uxText('achievements.unlockedAt', {
+        date: new Date(record.unlockedAt).toLocaleDateString(getUxLanguage(), { day: 'numeric', month: 'short', year: 'numeric' })
+      })
+      : uxText('achievements.locked');
+
+    item.append(icon, title, detail, status);
+    gallery.appendChild(item);
+  });
+}
+
+// ============================================================================
+// PAGE UPDATES - "Updated since you read it" from build-time page fingerprints
+// ============================================================================
+
+// Written by docs_hooks/page_fingerprints.py
+const PAGE_FINGERPRINTS_PATH = 'assets/page-fingerprints.json';
+
+// Page variant -> fingerprint in this build; null until loaded
+let pageFingerprints = null;
+let pageFingerprintsRequest = null;
+
+function loadPageFingerprints() {
+  // Fetched once per full page load, instant navigation reuses it
+  if (!pageFingerprintsRequest) {
+    pageFingerprintsRequest = fetch(withDocsBuild(getSiteRootUrl() + PAGE_FINGERPRINTS_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(index => {
+        pageFingerprints = index.pages || {};
+        return pageFingerprints;
+      })
+      .catch(error => {
+        console.error('Failed to load page fingerprints:', error);
+        return null;
+      });
+  }
+  return pageFingerprintsRequest;
+}
+
+function getPageFingerprint(page, variant = getPageVariant(page)) {
+  if (!pageFingerprints) return null;
+  return pageFingerprints[variant] || null;
+}
+
+function getReadFingerprint(page, record) {
+  // The variant the reader read, not the one for the current UI language -
+  // switching language is not an update
+  return getPageFingerprint(page, record.fingerprintVariant || getPageVariant(page));
+}
+
+function isRereadOnUpdate() {
+  return (getUxConfig().reading || {}).reread_updated === true;
+}
+
+function isPageUpdated(progress, page) {
+  const record = progress.pages && progress.pages[page];
+  const current = record && getReadFingerprint(page, record);
+  return !!(record && record.fingerprint && current && record.fingerprint !== current);
+}
+
+function getUpdatedPages(progress) {
+  if (!pageFingerprints) return [];
+  return Object.keys(progress.pages || {}).filter(page => isPageUpdated(progress, page));
+}
+
+function applyPageFingerprints() {
+  const progress = getProgress();
+  const currentPath = getCurrentPagePath();
+  const reread = isRereadOnUpdate();
+  let changed = false;
+  let restartSession = false;
+
+  Object.keys(progress.pages).forEach(page => {
+    const record = progress.pages[page];
+    const current = getReadFingerprint(page, record);
+    if (!current || record.state !== PAGE_STATES.READ) return;
+
+    if (!record.fingerprint) {
+      // Read before fingerprints existed: changes count from this build on,
+      // for the variant in the language shown now
+      record.fingerprint = current;
+      record.fingerprintVariant = getPageVariant(page);
+      changed = true;
+    } else if (reread && record.fingerprint !== current) {
+      // Back to unread with engagement starting over; the old fingerprint
+      // keeps it flagged until the next read stores the new one
+      record.state = PAGE_STATES.SKIMMED;
+      record.readingSeconds = getPageReadingSeconds(record);
+      record.activeSeconds = 0;
+      record.scrollDepth = 0;
+      record.sectionsSeen = [];
+      changed = true;
+      if (page === currentPath) restartSession = true;
+    }
+  });
+
+  if (changed) saveProgress(progress);
+  if (restartSession) {
+    stopReadingSession(false);
+    startReadingSession(currentPath);
+  }
+  updateProgressDisplay();
+}
+
+function markPageReviewed(page) {
+  const progress = getProgress();
+  const record = progress.pages[page];
+  const variant = getCurrentPageVariant();
+  const current = getPageFingerprint(page, variant);
+  if (!record || !current) return;
+
+  record.fingerprint = current;
+  record.fingerprintVariant = variant;
+  saveProgress(progress);
+  updateProgressDisplay();
+}
+
+function renderPageUpdateNotice(progress) {
+  const article = document.querySelector('.md-content .md-content__inner');
+  if (!article) return;
+
+  const page = getCurrentPagePath();
+  let notice = article.querySelector('.page-updated-notice');
+  if (!isPageUpdated(progress, page)) {
+    if (notice) notice.remove();
+    return;
+  }
+
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'page-updated-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <span class="page-updated-text"></span>
+      <button type="button" class="page-updated-reviewed">${uxText('updates.reviewed')}</button>
+    `;
+    notice.querySelector('.page-updated-reviewed').addEventListener('click', () => markPageReviewed(page));
+
+    const title = article.querySelector('h1');
+    if (title) title.after(notice);
+    else article.prepend(notice);
+  }
+
+  // Pages that count as unread again clear the notice by being read
+  const reread = isRereadOnUpdate();
+  notice.querySelector('.page-updated-text').textContent = uxText(reread ? 'updates.noticeReread' : 'updates.notice');
+  notice.querySelector('.page-updated-reviewed').hidden = reread;
+}
+
+// ============================================================================
+// LEARNING PATHS - Ordered reading lists and "Continue" recommendations
+// ============================================================================
+
+function getPathPages(pathKey) {
+  const learningPath = LEARNING_PATHS[pathKey];
+  if (!learningPath) return [];
+
+  // Skip pages the sitemap says no longer exist
+  if (getCatalogueSource() !== 'sitemap') return learningPath.pages;
+  const pages = getCataloguePages();
+  return learningPath.pages.filter(page => pages.includes(page));
+}
+
+function getPathStats(progress, pathKey) {
+  const pages = getPathPages(pathKey);
+  const completed = pages.filter(page => isPageRead(progress, page)).length;
+
+  return {
+    completed: completed,
+    total: pages.length,
+    percentage: pages.length > 0 ? (completed / pages.length) * 100 : 0
+  };
+}
+
+function getNextPathPage(progress, pathKey, currentPage) {
+  const pages = getPathPages(pathKey);
+  const index = pages.indexOf(currentPage);
+
+  // Look ahead of the current page first, then wrap around to anything skipped
+  const ordered = index === -1
+    ? pages
+    : pages.slice(index + 1).concat(pages.slice(0, index));
+
+  return ordered.find(page => !isPageRead(progress, page)) || null;
+}
+
+function getLearningPathText(pathKey, field) {
+  return uxTextOr(`path.${pathKey}.${field}`, LEARNING_PATHS[pathKey][field]);
+}
+
+function setActiveLearningPath(pathKey) {
+  if (!LEARNING_PATHS[pathKey]) return;
+
+  const progress = getProgress();
+  progress.activePath = pathKey;
+  saveProgress(progress);
+  updateProgressDisplay();
+}
+
+function renderLearningPathSection(progress) {
+  const select = document.getElementById('learning-path-select');
+  if (!select) return;
+
+  const pathKey = progress.activePath;
+  const stats = getPathStats(progress, pathKey);
+  const percentage = Math.round(stats.percentage);
+
+  select.value = pathKey;
+  document.getElementById('learning-path-description').textContent = getLearningPathText(pathKey, 'description');
+  document.getElementById('learning-path-count').textContent = `${stats.completed}/${stats.total}`;
+  document.getElementById('learning-path-fill').style.width = percentage + '%';
+
+  const next = getNextPathPage(progress, pathKey, getCurrentPagePath());
+  const nextLink = document.getElementById('learning-path-next');
+  if (next) {
+    nextLink.href = getPageUrl(next);
+    nextLink.textContent = uxText('path.next', { title: getPageTitle(next) });
+    nextLink.hidden = false;
+  } else {
+    nextLink.hidden = true;
+  }
+}
+
+function renderContinueCard(progress) {
+  const article = document.querySelector('.md-content .md-content__inner');
+  if (!article) return;
+
+  let card = document.getElementById('learning-path-card');
+  if (!card) {
+    card = document.createElement('aside');
+    card.id = 'learning-path-card';
+    card.className = 'learning-path-card';
+    article.appendChild(card);
+  }
+
+  const pathKey = progress.activePath;
+  const stats = getPathStats(progress, pathKey);
+  const next = getNextPathPage(progress, pathKey, getCurrentPagePath());
+
+  card.innerHTML = '';
+
+  const label = document.createElement('div');
+  label.className = 'learning-path-card-label';
+  label.textContent = uxText('path.cardLabel', {
+    path: getLearningPathText(pathKey, 'name'),
+    completed: stats.completed,
+    total: stats.total
+  });
+  card.appendChild(label);
+
+  if (next) {
+    const link = document.createElement('a');
+    link.className = 'learning-path-card-link';
+    link.href = getPageUrl(next);
+    link.textContent = uxText('path.continue', { title: getPageTitle(next) });
+    card.appendChild(link);
+  } else {
+    const done = document.createElement('button');
+    done.type = 'button';
+    done.className = 'learning-path-card-link';
+    done.textContent = uxText('path.complete');
+    done.addEventListener('click', openProgressPanel);
+    card.appendChild(done);
+  }
+}
+
+function createProgressBar() {
+  // Check if progress bar already exists
+  if (document.getElementById('progress-float-btn')) return;
+
+  const progressHTML = `
+    <!-- Mini Header Progress Bar -->
+    <div class="header-progress-bar">
+      <div class="header-progress-fill" id="header-progress-fill" style="width: 0%"></div>
+    </div>
 
     <!-- Floating Button with Circular Progress -->
-    <button id="progress-float-btn" class="progress-float-btn" title="Learning Progress">
+    <button id="progress-float-btn" class="progress-float-btn" aria-haspopup="dialog" title="${uxText('progress.button')}">
       <!-- Circular Progress SVG -->
       <svg class="progress-ring" width="66" height="66">
         <defs>
@@ -338,398 +3005,3865 @@ function createProgressBar() {
                 stroke-dasharray="188.5"
                 stroke-dashoffset="188.5"></circle>
       </svg>
-      <span class="progress-badge" id="progress-badge">0%</span>
+      <span class="progress-badge" id="progress-badge">0%</span>
+    </button>
+
+    <!-- Milestone Celebration Modal -->
+    <div id="milestone-modal" class="milestone-modal" role="dialog" aria-modal="true"
+         aria-labelledby="milestone-title" aria-describedby="milestone-message" tabindex="-1">
+      <div class="milestone-icon" id="milestone-icon">🎉</div>
+      <h2 class="milestone-title" id="milestone-title">${uxText('milestone.title')}</h2>
+      <p class="milestone-message" id="milestone-message">${uxText('milestone.message')}</p>
+      <button class="milestone-close" id="milestone-close">${uxText('milestone.continue')}</button>
+    </div>
+
+    <!-- Confetti Container -->
+    <div id="confetti-container" class="confetti-container" aria-hidden="true"></div>
+
+    <!-- Side Panel -->
+    <div id="progress-panel" class="progress-panel" role="dialog" aria-modal="true"
+         aria-labelledby="progress-panel-title" tabindex="-1">
+      <div class="progress-panel-header">
+        <h3 id="progress-panel-title">${uxText('progress.title')}</h3>
+        <button id="progress-panel-close" class="progress-panel-close" title="${uxText('common.close')}" aria-label="${uxText('common.close')}">&times;</button>
+      </div>
+
+      <div class="progress-panel-content">
+        <div class="progress-notice" id="progress-notice" hidden>
+          <p class="progress-notice-text" id="progress-notice-text"></p>
+          <div class="progress-notice-actions">
+            <button id="progress-notice-backup" class="progress-notice-btn" hidden>${uxText('progress.downloadBackup')}</button>
+            <button id="progress-notice-dismiss" class="progress-notice-btn">${uxText('progress.dismiss')}</button>
+          </div>
+        </div>
+
+        <div class="progress-overall-section">
+          <div class="progress-stats">
+            <span class="progress-count" id="overall-progress-text">0 / 0</span>
+            <span class="progress-percentage" id="overall-progress-pct">0%</span>
+          </div>
+          <div class="progress-bar-wrapper">
+            <div class="progress-bar-fill" id="overall-progress-fill"></div>
+          </div>
+          <p class="progress-subtitle" id="overall-progress-subtitle">${uxText('progress.pagesRead')}</p>
+          <p class="progress-current-page" id="progress-current-page"></p>
+        </div>
+
+        <div class="progress-path-section">
+          <h4>${uxText('progress.learningPath')}</h4>
+          <select id="learning-path-select" class="learning-path-select">
+            ${Object.keys(LEARNING_PATHS).map(key =>
+              `<option value="${key}">${getLearningPathText(key, 'name')}</option>`
+            ).join('')}
+          </select>
+          <p class="learning-path-description" id="learning-path-description"></p>
+          <div class="progress-category-header">
+            <span class="progress-category-name">${uxText('progress.pathProgress')}</span>
+            <span class="progress-category-count" id="learning-path-count">0/0</span>
+          </div>
+          <div class="progress-bar-wrapper small">
+            <div class="progress-bar-fill" id="learning-path-fill" style="width: 0%"></div>
+          </div>
+          <a class="learning-path-next" id="learning-path-next" href="#" hidden></a>
+        </div>
+
+        <div class="progress-categories-section">
+          <h4>${uxText('progress.byCategory')}</h4>
+          <div id="progress-categories"></div>
+        </div>
+
+        <details class="progress-analytics-section" id="progress-analytics-section">
+          <summary>${uxText('analytics.title')}</summary>
+          <div class="analytics-stats">
+            <span id="analytics-streak"></span>
+            <span id="analytics-longest"></span>
+            <span id="analytics-week"></span>
+          </div>
+          <h5>${uxText('analytics.timeline')}</h5>
+          <ol class="analytics-timeline" id="analytics-timeline"></ol>
+          <div id="analytics-categories-block">
+            <h5>${uxText('analytics.categories')}</h5>
+            <div id="analytics-categories"></div>
+          </div>
+          <div id="analytics-revisited-block">
+            <h5>${uxText('analytics.revisited')}</h5>
+            <ol class="analytics-revisited" id="analytics-revisited"></ol>
+          </div>
+          <p class="progress-stale-text">${uxText('analytics.local')}</p>
+        </details>
+
+        <div class="progress-achievements-section">
+          <h4>${uxText('achievements.title')} <span class="achievements-count" id="achievements-count"></span></h4>
+          <ul class="achievements-gallery" id="achievements-gallery"></ul>
+        </div>
+
+        <div class="progress-stale-section" id="progress-stale-section" hidden>
+          <h4>${uxText('progress.staleTitle')}</h4>
+          <p class="progress-stale-text" id="progress-stale-text"></p>
+          <ul class="progress-stale-list" id="progress-stale-list"></ul>
+          <button id="progress-stale-btn" class="progress-stale-btn">${uxText('progress.staleRemove')}</button>
+        </div>
+
+        <div class="progress-updated-section" id="progress-updated-section" hidden>
+          <h4>${uxText('progress.updatedTitle')}</h4>
+          <p class="progress-stale-text" id="progress-updated-text"></p>
+          <ul class="progress-updated-list" id="progress-updated-list"></ul>
+        </div>
+
+        <div class="progress-offline-section" id="progress-offline-section" hidden>
+          <h4>${uxText('offline.title')}</h4>
+          <p class="progress-stale-text" id="progress-offline-text" aria-live="polite"></p>
+          <button id="progress-offline-btn" class="progress-stale-btn">${uxText('offline.cacheAll')}</button>
+        </div>
+
+        <div class="progress-data-actions">
+          <button id="progress-export-btn" class="progress-reset-btn-panel" title="${uxText('progress.exportTitle')}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="7 10 12 15 17 10"></polyline>
+              <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+            ${uxText('progress.export')}
+          </button>
+          <button id="progress-import-btn" class="progress-reset-btn-panel" title="${uxText('progress.importTitle')}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="17 8 12 3 7 8"></polyline>
+              <line x1="12" y1="3" x2="12" y2="15"></line>
+            </svg>
+            ${uxText('progress.import')}
+          </button>
+          <input type="file" id="progress-import-input" accept="application/json,.json" hidden>
+        </div>
+
+        <button id="progress-reset-btn" class="progress-reset-btn-panel">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"></path>
+            <path d="M21 3v5h-5"></path>
+            <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"></path>
+            <path d="M3 21v-5h5"></path>
+          </svg>
+          ${uxText('progress.reset')}
+        </button>
+
+        <label class="progress-language">
+          <span>${uxText('language.label')}</span>
+          <select id="ux-language-select" class="learning-path-select">
+            ${Object.entries(UX_LANGUAGES).map(([code, name]) =>
+              `<option value="${code}">${name}</option>`
+            ).join('')}
+          </select>
+        </label>
+      </div>
+    </div>
+
+    <!-- Overlay -->
+    <div id="progress-overlay" class="progress-overlay"></div>
+  `;
+
+  // Insert at end of body
+  document.body.insertAdjacentHTML('beforeend', progressHTML);
+
+  // Add event listeners
+  document.getElementById('progress-float-btn').addEventListener('click', openProgressPanel);
+  document.getElementById('progress-panel-close').addEventListener('click', closeProgressPanel);
+  document.getElementById('progress-overlay').addEventListener('click', closeProgressPanel);
+  document.getElementById('progress-reset-btn').addEventListener('click', resetProgress);
+  document.getElementById('progress-stale-btn').addEventListener('click', removeStalePages);
+  document.getElementById('progress-notice-dismiss').addEventListener('click', dismissProgressNotice);
+  document.getElementById('progress-notice-backup').addEventListener('click', downloadProgressBackup);
+  document.getElementById('learning-path-select').addEventListener('change', e => {
+    setActiveLearningPath(e.target.value);
+  });
+  document.getElementById('progress-export-btn').addEventListener('click', exportProgress);
+  document.getElementById('progress-import-btn').addEventListener('click', () => {
+    document.getElementById('progress-import-input').click();
+  });
+  document.getElementById('progress-import-input').addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) importProgressFile(file);
+    e.target.value = '';
+  });
+  document.getElementById('milestone-close').addEventListener('click', closeMilestoneModal);
+  ['keydown', 'pointerdown'].forEach(type => {
+    document.getElementById('milestone-modal').addEventListener(type, keepMilestoneModalOpen);
+  });
+
+  const languageSelect = document.getElementById('ux-language-select');
+  languageSelect.value = getUxLanguage();
+  languageSelect.addEventListener('change', e => setUxLanguage(e.target.value));
+}
+
+function openProgressPanel() {
+  // Include the time spent on this page so far
+  flushReadingSession();
+  renderReadingAnalytics(getProgress());
+
+  const panel = document.getElementById('progress-panel');
+  panel.classList.add('open');
+  document.getElementById('progress-overlay').classList.add('visible');
+  document.body.style.overflow = 'hidden';
+  trapDialog(panel, closeProgressPanel);
+}
+
+function closeProgressPanel() {
+  const panel = document.getElementById('progress-panel');
+  panel.classList.remove('open');
+  document.getElementById('progress-overlay').classList.remove('visible');
+  document.body.style.overflow = '';
+  releaseDialog(panel);
+}
+
+function updateProgressDisplay(options = {}) {
+  const progress = getProgress();
+  const stats = calculateProgress(progress);
+
+  const percentage = Math.round(stats.overall.percentage);
+
+  // Redraws for another tab's change leave the last percentage alone: the
+  // tab that made the change announces it
+  const oldPercentage = progress.lastPercentage || 0;
+  if (!options.remote && oldPercentage !== percentage) {
+    progress.lastPercentage = percentage;
+    saveProgress(progress);
+    announce(uxText('progress.announce', { percentage: percentage }));
+  }
+
+  // Update floating button badge with pulse
+  const badge = document.getElementById('progress-badge');
+  if (badge) {
+    badge.textContent = percentage + '%';
+    // The badge text alone would name the button "42%"
+    badge.parentElement.setAttribute('aria-label', `${uxText('progress.button')}: ${percentage}%`);
+    // Trigger pulse animation
+    badge.classList.remove('pulse');
+    void badge.offsetWidth; // Force reflow
+    badge.classList.add('pulse');
+  }
+
+  // Update circular progress ring
+  const progressRing = document.getElementById('progress-ring-fill');
+  if (progressRing) {
+    const circumference = 2 * Math.PI * 30; // radius = 30
+    const offset = circumference - (percentage / 100) * circumference;
+    progressRing.style.strokeDashoffset = offset;
+  }
+
+  // Update header progress bar
+  const headerFill = document.getElementById('header-progress-fill');
+  if (headerFill) {
+    headerFill.style.width = percentage + '%';
+  }
+
+  // Update overall progress in panel
+  const overallFill = document.getElementById('overall-progress-fill');
+  const overallText = document.getElementById('overall-progress-text');
+  const overallPct = document.getElementById('overall-progress-pct');
+
+  if (overallFill) {
+    overallFill.style.width = percentage + '%';
+  }
+
+  if (overallText) {
+    overallText.textContent = `${stats.overall.completed} / ${stats.overall.total}`;
+  }
+
+  if (overallPct) {
+    overallPct.textContent = percentage + '%';
+  }
+
+  const overallSubtitle = document.getElementById('overall-progress-subtitle');
+  if (overallSubtitle) {
+    overallSubtitle.textContent = stats.overall.skimmed > 0
+      ? uxText('progress.pagesReadSkimmed', { count: stats.overall.skimmed })
+      : uxText('progress.pagesRead');
+  }
+
+  updateCurrentPageStatus();
+  renderProgressNotice();
+
+  // Update learning path progress and the "Continue" card
+  renderLearningPathSection(progress);
+  renderContinueCard(progress);
+
+  // Page states in the Material sidebar and table of contents
+  updateNavMarkers(progress);
+
+  // Update category progress
+  const categoriesContainer = document.getElementById('progress-categories');
+  if (categoriesContainer) {
+    categoriesContainer.innerHTML = '';
+
+    Object.entries(stats.categories).forEach(([key, cat]) => {
+      const catPercentage = Math.round(cat.percentage);
+      const categoryHTML = `
+        <div class="progress-category">
+          <div class="progress-category-header">
+            <span class="progress-category-name">${cat.name}</span>
+            <span class="progress-category-count" title="${uxText(cat.quiz && cat.quiz.required ? 'progress.categorySkimmedQuiz' : 'progress.categorySkimmed', { count: cat.skimmed })}">${cat.completed}/${cat.total}</span>
+          </div>
+          <div class="progress-bar-wrapper small">
+            <div class="progress-bar-skimmed" style="width: ${Math.round(cat.skimmedPercentage)}%"></div>
+            <div class="progress-bar-fill" style="width: ${catPercentage}%"></div>
+          </div>
+          ${cat.quiz ? `<div class="progress-category-quiz">${describeCategoryQuizzes(cat.quiz)}</div>` : ''}
+        </div>
+      `;
+      categoriesContainer.insertAdjacentHTML('beforeend', categoryHTML);
+    });
+  }
+
+  // Show visited pages that no longer exist in the docs
+  const staleSection = document.getElementById('progress-stale-section');
+  if (staleSection) {
+    const stale = getStalePages(progress);
+    staleSection.hidden = stale.length === 0;
+
+    document.getElementById('progress-stale-text').textContent = uxText('progress.staleText', { count: stale.length });
+
+    const staleList = document.getElementById('progress-stale-list');
+    staleList.innerHTML = '';
+    stale.forEach(page => {
+      const item = document.createElement('li');
+      item.textContent = page;
+      staleList.appendChild(item);
+    });
+  }
+
+  // Read pages that changed in a later build
+  const updatedSection = document.getElementById('progress-updated-section');
+  if (updatedSection) {
+    const updated = getUpdatedPages(progress);
+    updatedSection.hidden = updated.length === 0;
+
+    document.getElementById('progress-updated-text').textContent = uxText(
+      isRereadOnUpdate() ? 'progress.updatedTextReread' : 'progress.updatedText', { count: updated.length });
+
+    const updatedList = document.getElementById('progress-updated-list');
+    updatedList.innerHTML = '';
+    updated.forEach(page => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = getPageUrl(page);
+      link.textContent = getPageTitle(page);
+      item.appendChild(link);
+      updatedList.appendChild(item);
+    });
+  }
+
+  renderPageUpdateNotice(progress);
+  renderReadingAnalytics(progress);
+
+  // The tab that made the change unlocks what it earned; any tab may show it
+  if (!options.remote) checkAchievements(progress, stats);
+  renderAchievementGallery(getProgress());
+  showPendingAchievements();
+}
+
+function describeCategoryQuizzes(quiz) {
+  const parts = [];
+  if (quiz.taken > 0) {
+    parts.push(uxText('quiz.categoryPassed', { passed: quiz.passed, count: quiz.taken }));
+    parts.push(uxText('quiz.categoryBest', { score: quiz.bestScore, total: quiz.questions }));
+  }
+  if (quiz.required) {
+    parts.push(uxText(quiz.requiredPassed ? 'quiz.requiredPassed' : 'quiz.requiredPending'));
+  }
+  return parts.join(' · ');
+}
+
+function calculateProgress(progress) {
+  const stats = {
+    overall: { completed: 0, skimmed: 0, total: 0, percentage: 0 },
+    categories: {}
+  };
+
+  const quizConfig = getQuizConfig();
+
+  // Only pages that were actually read count as completed
+  Object.entries(getDocStructure()).forEach(([key, category]) => {
+    const quiz = calculateCategoryQuizzes(progress, category, quizConfig.required[key]);
+    const requiredSteps = quiz && quiz.required ? 1 : 0;
+
+    // A required quiz is one more step before the category is complete
+    const total = category.pages.length + requiredSteps;
+    const completed = category.pages.filter(page => isPageRead(progress, page)).length +
+      (quiz && quiz.requiredPassed ? 1 : 0);
+    const skimmed = category.pages.filter(page =>
+      getPageState(progress, page) === PAGE_STATES.SKIMMED
+    ).length;
+
+    stats.categories[key] = {
+      name: uxTextOr('category.' + key, category.name),
+      completed: completed,
+      skimmed: skimmed,
+      total: total,
+      percentage: total > 0 ? (completed / total) * 100 : 0,
+      skimmedPercentage: total > 0 ? ((completed + skimmed) / total) * 100 : 0,
+      quiz: quiz
+    };
+
+    stats.overall.completed += completed;
+    stats.overall.skimmed += skimmed;
+    stats.overall.total += total;
+  });
+
+  stats.overall.percentage = stats.overall.total > 0
+    ? (stats.overall.completed / stats.overall.total) * 100
+    : 0;
+
+  return stats;
+}
+
+function calculateCategoryQuizzes(progress, category, requiredQuiz) {
+  const records = Object.values(progress.quizzes).filter(record => category.pages.includes(record.page));
+  if (records.length === 0 && !requiredQuiz) return null;
+
+  const required = requiredQuiz ? progress.quizzes[requiredQuiz] : null;
+  return {
+    taken: records.length,
+    passed: records.filter(record => record.passed).length,
+    bestScore: records.reduce((sum, record) => sum + (record.bestScore || 0), 0),
+    questions: records.reduce((sum, record) => sum + record.total, 0),
+    required: requiredQuiz || null,
+    requiredPassed: !!(required && required.passed)
+  };
+}
+
+let milestoneCloseTimer = null;
+
+function showMilestoneModal(achievement) {
+  const milestone = {
+    icon: achievement.icon,
+    title: getAchievementText(achievement, 'title'),
+    message: getAchievementText(achievement, 'description')
+  };
+
+  const modal = document.getElementById('milestone-modal');
+  const icon = document.getElementById('milestone-icon');
+  const title = document.getElementById('milestone-title');
+  const message = document.getElementById('milestone-message');
+
+  if (modal && icon && title && message) {
+    icon.textContent = milestone.icon;
+    title.textContent = milestone.title;
+    message.textContent = milestone.message;
+
+    modal.classList.add('show');
+    trapDialog(modal, closeMilestoneModal);
+
+    if (achievement.confetti) {
+      launchConfetti();
+    }
+
+    // Auto-close after 5 seconds, unless the reader starts using the modal
+    clearTimeout(milestoneCloseTimer);
+    milestoneCloseTimer = setTimeout(() => {
+      closeMilestoneModal();
+    }, 5000);
+  }
+}
+
+function closeMilestoneModal() {
+  clearTimeout(milestoneCloseTimer);
+  milestoneCloseTimer = null;
+
+  const modal = document.getElementById('milestone-modal');
+  if (modal && modal.classList.contains('show')) {
+    modal.classList.remove('show');
+    releaseDialog(modal);
+
+    // Anything unlocked together with this one comes next
+    setTimeout(showPendingAchievements, ACHIEVEMENT_QUEUE_GAP_MS);
+  }
+}
+
+function keepMilestoneModalOpen() {
+  clearTimeout(milestoneCloseTimer);
+  milestoneCloseTimer = null;
+}
+
+function launchConfetti() {
+  const container = document.getElementById('confetti-container');
+  if (!container || prefersReducedMotion()) return;
+
+  const colors = ['#0078D4', '#00D9C0', '#FFD700', '#FF6B9D', '#C471ED', '#12D8FA'];
+  const confettiCount = 150;
+
+  for (let i = 0; i < confettiCount; i++) {
+    const confetti = document.createElement('div');
+    confetti.className = 'confetti';
+    confetti.style.left = Math.random() * 100 + '%';
+    confetti.style.backgroundColor = colors[Math.floor(Math.random() * colors.length)];
+    confetti.style.animationDelay = Math.random() * 0.5 + 's';
+    confetti.style.animationDuration = (Math.random() * 1 + 2) + 's';
+
+    container.appendChild(confetti);
+
+    // Trigger animation
+    setTimeout(() => {
+      confetti.classList.add('active');
+    }, 10);
+
+    // Remove after animation
+    setTimeout(() => {
+      confetti.remove();
+    }, 3500);
+  }
+}
+
+function resetProgress() {
+  if (confirm(uxText('progress.resetConfirm'))) {
+    const bookmarks = getProgress().bookmarks;
+    localStorage.removeItem(PROGRESS_STORAGE_KEY);
+
+    // Notes are the reader's own writing, not progress
+    const progress = createEmptyProgress();
+    progress.bookmarks = bookmarks;
+    saveProgress(progress);
+
+    // Start the current page over instead of saving the old engagement back
+    stopReadingSession(false);
+    trackPageVisit();
+
+    updateProgressDisplay();
+    console.log('Progress reset');
+  }
+}
+
+// ============================================================================
+// NAV MARKERS - Page states in the Material sidebar, sections seen in the TOC
+// ============================================================================
+
+// Material repeats the page TOC inside the primary nav for small screens
+const NAV_PAGE_LINK_SELECTOR = '.md-nav--primary a.md-nav__link[href]';
+const NAV_TOC_LINK_SELECTOR = '.md-nav--secondary a.md-nav__link[href^="#"]';
+
+function updateNavMarkers(progress = getProgress()) {
+  const rootUrl = new URL(getSiteRootUrl());
+  const pages = getCataloguePages();
+
+  // Page link -> catalogue page, or null for external and excluded links
+  const getLinkPage = link => {
+    const url = new URL(link.getAttribute('href'), window.location.href);
+    if (url.origin !== rootUrl.origin) return null;
+
+    const page = getCanonicalPage(pagePathFromUrl(url.href, rootUrl.pathname));
+    return pages.includes(page) ? page : null;
+  };
+
+  document.querySelectorAll(NAV_PAGE_LINK_SELECTOR).forEach(link => {
+    const page = link.closest('.md-nav--secondary') ? null : getLinkPage(link);
+    if (page) {
+      const state = getPageState(progress, page);
+      setNavMarker(link, state, uxText('progress.state.' + state), isPageUpdated(progress, page));
+    }
+  });
+
+  // Fraction of read pages next to every nav group
+  document.querySelectorAll('.md-nav--primary .md-nav__item--nested').forEach(item => {
+    const head = item.querySelector(':scope > .md-nav__link');
+    const nested = item.querySelector(':scope > nav');
+    if (!head || !nested) return;
+
+    const groupPages = new Set();
+    nested.querySelectorAll('a.md-nav__link[href]').forEach(link => {
+      const page = link.closest('.md-nav--secondary') ? null : getLinkPage(link);
+      if (page) groupPages.add(page);
+    });
+    if (groupPages.size === 0) return;
+
+    const states = Array.from(groupPages).map(page => getPageState(progress, page));
+    const read = states.filter(state => state === PAGE_STATES.READ).length;
+    const skimmed = states.filter(state => state === PAGE_STATES.SKIMMED).length;
+
+    let fraction = head.querySelector(':scope > .nav-progress-fraction');
+    if (!fraction) {
+      fraction = document.createElement('span');
+      fraction.className = 'nav-progress-fraction';
+      head.insertBefore(fraction, head.querySelector(':scope > .md-nav__icon'));
+    }
+    fraction.textContent = `${read}/${groupPages.size}`;
+    fraction.title = uxText('nav.groupProgress', { read: read, total: groupPages.size, skimmed: skimmed });
+    fraction.setAttribute('aria-label', fraction.title);
+    fraction.classList.toggle('complete', read === groupPages.size);
+  });
+
+  updateTocMarkers(progress);
+}
+
+function updateTocMarkers(progress = getProgress()) {
+  const path = getCurrentPagePath();
+  const record = progress.pages && progress.pages[path];
+  const seen = new Set(record && record.sectionsSeen || []);
+
+  // The open session has seen more than was last saved
+  if (readingSession && readingSession.path === path) {
+    readingSession.seenSections.forEach(id => seen.add(id));
+  }
+
+  document.querySelectorAll(NAV_TOC_LINK_SELECTOR).forEach(link => {
+    const id = decodeURIComponent(link.getAttribute('href').slice(1));
+    setNavMarker(link, seen.has(id) ? PAGE_STATES.READ : PAGE_STATES.UNVISITED,
+      uxText(seen.has(id) ? 'nav.sectionSeen' : 'nav.sectionUnseen'));
+  });
+}
+
+function setNavMarker(link, state, label, updated = false) {
+  let marker = link.querySelector(':scope > .nav-progress-marker');
+  if (!marker) {
+    marker = document.createElement('span');
+    marker.className = 'nav-progress-marker';
+    marker.setAttribute('role', 'img');
+    link.appendChild(marker);
+  }
+  if (updated) label += ' · ' + uxText('updates.badge');
+
+  marker.dataset.state = state;
+  marker.classList.toggle('updated', updated);
+  marker.title = label;
+  marker.setAttribute('aria-label', label);
+}
+
+// ============================================================================
+// CONTACT PANEL - Quick access to support channels
+// ============================================================================
+
+const CONTACT_GITHUB_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+  <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
+</svg>`;
+
+// Channels come from `extra.ux.contact` in mkdocs.yml; unset ones are hidden.
+// Descriptions are the 'contact.channel.<key>' UI strings
+const CONTACT_CHANNELS = [
+  {
+    key: 'telegram',
+    title: 'Telegram',
+    className: 'contact-btn-telegram',
+    href: value => value,
+    icon: `<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+      <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0zm5.562 8.161l-1.84 8.673c-.139.622-.502.775-.998.483l-2.764-2.037-1.332 1.282c-.147.147-.271.271-.556.271l.199-2.815 5.139-4.643c.224-.199-.048-.31-.347-.111l-6.355 4.003-2.737-.856c-.595-.187-.607-.595.125-.881l10.703-4.124c.496-.182.93.114.762.877z"/>
+      </svg>`
+  },
+  {
+    key: 'whatsapp',
+    title: 'WhatsApp',
+    className: 'contact-btn-whatsapp',
+    href: value => value,
+    icon: `<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+      <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
+      </svg>`
+  },
+  {
+    key: 'github_discussions',
+    title: 'GitHub Discussions',
+    className: 'contact-btn-github',
+    href: value => value,
+    icon: CONTACT_GITHUB_ICON
+  },
+  {
+    key: 'github_issues',
+    title: 'GitHub Issues',
+    className: 'contact-btn-github',
+    href: value => value,
+    icon: CONTACT_GITHUB_ICON
+  },
+  {
+    key: 'email',
+    title: 'Email',
+    className: 'contact-btn-email',
+    href: value => 'mailto:' + value,
+    icon: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path>
+      <polyline points="22,6 12,13 2,6"></polyline>
+      </svg>`
+  }
+];
+
+const SUPPORT_LAYERS = ['MT5Account', 'MT5Service', 'MT5Sugar', 'Orchestrators & Presets', 'Not sure'];
+
+function initContactPanel() {
+  // Create and inject contact button and panel
+  createContactPanel();
+}
+
+function getContactConfig() {
+  const contact = getUxConfig().contact || {};
+  const channels = {};
+
+  // Placeholders copied from a template count as not configured
+  Object.entries(contact).forEach(([key, value]) => {
+    if (typeof value === 'string' && value.trim() && !/YOUR_/.test(value)) {
+      channels[key] = value.trim();
+    }
+  });
+  return channels;
+}
+
+function createContactPanel() {
+  // Check if contact panel already exists
+  if (document.getElementById('contact-float-btn')) return;
+
+  const layerOptions = SUPPORT_LAYERS
+    .map(layer => `<option value="${layer}">${layer === 'Not sure' ? uxText('contact.notSure') : layer}</option>`)
+    .join('');
+
+  const contactHTML = `
+    <!-- Floating Contact Button -->
+    <button id="contact-float-btn" class="contact-float-btn" aria-haspopup="dialog" title="${uxText('contact.button')}">
+      <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+      </svg>
+    </button>
+
+    <!-- Contact Side Panel -->
+    <div id="contact-panel" class="contact-panel" role="dialog" aria-modal="true"
+         aria-labelledby="contact-panel-title" tabindex="-1">
+      <div class="contact-panel-header">
+        <h3 id="contact-panel-title">${uxText('contact.title')}</h3>
+        <button id="contact-panel-close" class="contact-panel-close" title="${uxText('common.close')}" aria-label="${uxText('common.close')}">&times;</button>
+      </div>
+
+      <div class="contact-panel-content">
+        <div class="contact-intro">
+          <h4>${uxText('contact.needHelp')}</h4>
+          <p>${uxText('contact.intro')}</p>
+        </div>
+
+        <div class="contact-buttons" id="contact-buttons"></div>
+
+        <!-- Support Request Composer -->
+        <form class="contact-composer" id="contact-composer">
+          <h4>${uxText('contact.composerTitle')}</h4>
+          <p class="contact-composer-hint">${uxText('contact.composerHint')}</p>
+
+          <label>${uxText('contact.summary')}
+            <input type="text" id="composer-summary" placeholder="OrderSendAsync returns 10019 on demo">
+          </label>
+          <label>${uxText('contact.layer')}
+            <select id="composer-layer">${layerOptions}</select>
+          </label>
+          <label>${uxText('contact.retcode')}
+            <input type="text" id="composer-retcode" placeholder="10019 or TRADE_RETCODE_NO_MONEY" autocomplete="off">
+          </label>
+          <label>${uxText('contact.details')}
+            <textarea id="composer-details" rows="4" placeholder="${uxText('contact.detailsPlaceholder')}"></textarea>
+          </label>
+
+          <label>${uxText('contact.preview')}
+            <textarea id="composer-preview" rows="8" readonly></textarea>
+          </label>
+
+          <div class="contact-composer-actions">
+            <a id="composer-issue" class="contact-composer-btn" target="_blank" rel="noopener" hidden>${uxText('contact.openIssue')}</a>
+            <a id="composer-email" class="contact-composer-btn" hidden>${uxText('contact.sendEmail')}</a>
+            <button type="button" id="composer-copy" class="contact-composer-btn">${uxText('contact.copy')}</button>
+          </div>
+          <p class="contact-composer-hint" id="composer-status" aria-live="polite"></p>
+        </form>
+      </div>
+    </div>
+
+    <!-- Contact Overlay -->
+    <div id="contact-overlay" class="progress-overlay"></div>
+  `;
+
+  // Insert at end of body
+  document.body.insertAdjacentHTML('beforeend', contactHTML);
+  renderContactChannels();
+
+  // Add event listeners
+  document.getElementById('contact-float-btn').addEventListener('click', openContactPanel);
+  document.getElementById('contact-panel-close').addEventListener('click', closeContactPanel);
+  document.getElementById('contact-overlay').addEventListener('click', closeContactPanel);
+
+  const composer = document.getElementById('contact-composer');
+  composer.addEventListener('input', updateSupportRequest);
+  composer.addEventListener('submit', e => e.preventDefault());
+  document.getElementById('composer-copy').addEventListener('click', copySupportRequest);
+}
+
+function renderContactChannels() {
+  const container = document.getElementById('contact-buttons');
+  const channels = getContactConfig();
+
+  CONTACT_CHANNELS.filter(channel => channels[channel.key]).forEach(channel => {
+    const link = document.createElement('a');
+    link.className = `contact-btn ${channel.className}`;
+    link.href = channel.href(channels[channel.key]);
+    if (channel.key !== 'email') {
+      link.target = '_blank';
+      link.rel = 'noopener';
+    }
+    link.innerHTML = `
+      <div class="contact-btn-icon">${channel.icon}</div>
+      <div class="contact-btn-content">
+        <div class="contact-btn-title">${channel.title}</div>
+        <div class="contact-btn-desc">${uxText('contact.channel.' + channel.key)}</div>
+      </div>
+    `;
+    container.appendChild(link);
+  });
+
+  if (!container.children.length) {
+    container.innerHTML = `<p class="contact-composer-hint">${uxText('contact.noChannels')}</p>`;
+  }
+}
+
+function openContactPanel() {
+  const panel = document.getElementById('contact-panel');
+  panel.classList.add('open');
+  document.getElementById('contact-overlay').classList.add('visible');
+  document.body.style.overflow = 'hidden';
+  trapDialog(panel, closeContactPanel);
+
+  // Prefill from where the reader is now
+  document.getElementById('composer-layer').value = getCurrentSdkLayer();
+  document.getElementById('composer-status').textContent = '';
+  updateSupportRequest();
+}
+
+function closeContactPanel() {
+  const panel = document.getElementById('contact-panel');
+  panel.classList.remove('open');
+  document.getElementById('contact-overlay').classList.remove('visible');
+  document.body.style.overflow = '';
+  releaseDialog(panel);
+}
+
+function getCurrentSdkLayer() {
+  const currentPath = getCurrentPagePath();
+  const layer = SUPPORT_LAYERS.find(name => currentPath.startsWith(name + '/') ||
+    currentPath.startsWith('API_Reference/' + name + '.'));
+
+  if (layer) return layer;
+  if (currentPath.startsWith('Strategies/')) return 'Orchestrators & Presets';
+  return 'Not sure';
+}
+
+function describeRetCode(input) {
+  const value = input.trim();
+  if (!value || !retCodes) return value;
+
+  // Expand "10019" or "NO_MONEY" when the codes are already loaded
+  const match = retCodes.find(code => String(code.code) === value ||
+    code.name.toLowerCase() === value.toLowerCase() ||
+    code.name.toLowerCase() === ('TRADE_RETCODE_' + value).toLowerCase());
+  return match ? `${match.code} ${match.name} — ${match.description}` : value;
+}
+
+function buildSupportRequest() {
+  const summary = document.getElementById('composer-summary').value.trim();
+  const layer = document.getElementById('composer-layer').value;
+  const retCode = describeRetCode(document.getElementById('composer-retcode').value);
+  const details = document.getElementById('composer-details').value.trim();
+  const heading = document.querySelector('.md-content h1');
+
+  const title = summary || `Question about ${layer === 'Not sure' ? 'CSharpMT5' : layer}`;
+  const body = [
+    '### What happened',
+    details || '_Describe the steps, the expected and the actual result._',
+    '',
+    '### Context',
+    `- Docs page: ${heading ? heading.textContent.replace(/¶/g, '').trim() + ' — ' : ''}${window.location.href}`,
+    `- SDK layer: ${layer}`,
+    `- RetCode: ${retCode || 'none'}`,
+    '',
+    '### Environment',
+    `- Browser: ${navigator.userAgent}`,
+    `- Platform: ${navigator.platform || 'unknown'}`,
+    `- Language: ${navigator.language || 'unknown'}`,
+    '- .NET SDK version: ',
+    '- MT5 terminal / gateway: '
+  ].join('\n');
+
+  return { title: title, body: body };
+}
+
+function updateSupportRequest() {
+  const request = buildSupportRequest();
+  const channels = getContactConfig();
+  document.getElementById('composer-preview').value = `${request.title}\n\n${request.body}`;
+
+  const issueLink = document.getElementById('composer-issue');
+  issueLink.hidden = !channels.github_issues;
+  if (channels.github_issues) {
+    issueLink.href = channels.github_issues.replace(/\/+$/, '') + '/new?' +
+      `title=${encodeURIComponent(request.title)}&body=${encodeURIComponent(request.body)}`;
+  }
+
+  const emailLink = document.getElementById('composer-email');
+  emailLink.hidden = !channels.email;
+  if (channels.email) {
+    emailLink.href = `mailto:${channels.email}?subject=${encodeURIComponent(request.title)}` +
+      `&body=${encodeURIComponent(request.body)}`;
+  }
+}
+
+function copySupportRequest() {
+  const preview = document.getElementById('composer-preview');
+  const status = document.getElementById('composer-status');
+
+  copyText(preview.value)
+    .then(() => {
+      status.textContent = uxText('contact.copied');
+    })
+    .catch(() => {
+      preview.select();
+      status.textContent = uxText('contact.copyFailed');
+    });
+}
+
+function copyText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text);
+  }
+  return Promise.reject(new Error('Clipboard API unavailable'));
+}
+
+// ============================================================================
+// RETCODE LOOKUP - Search trade return codes from the reference page tables
+// ============================================================================
+
+const RETCODE_PAGE = 'ReturnCodes_Reference_EN';
+const RETCODE_CACHE_KEY = 'csharpmt5_docs_retcodes';
+const RETCODE_MAX_RESULTS = 8;
+
+// Categories with generic advice ('retcode.kind.*'); code-specific advice comes
+// from the reference page's "Best Practices" list
+const RETCODE_CATEGORY_KINDS = ['success', 'requote', 'rejection', 'restriction', 'resource', 'technical', 'state'];
+
+let retCodes = null;
+
+function initRetCodeLookup() {
+  createRetCodeLookup();
+}
+
+function createRetCodeLookup() {
+  // Check if lookup already exists
+  if (document.getElementById('retcode-float-btn')) return;
+
+  const retCodeHTML = `
+    <!-- Floating RetCode Button -->
+    <button id="retcode-float-btn" class="retcode-float-btn" aria-haspopup="dialog" title="${uxText('retcode.button')}">
+      <svg width="26" height="26" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="11" cy="11" r="7"></circle>
+        <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+        <line x1="9" y1="8" x2="8" y2="14"></line>
+        <line x1="13" y1="8" x2="12" y2="14"></line>
+        <line x1="7.5" y1="10" x2="14" y2="10"></line>
+        <line x1="7" y1="12.5" x2="13.5" y2="12.5"></line>
+      </svg>
+    </button>
+
+    <!-- RetCode Side Panel -->
+    <div id="retcode-panel" class="retcode-panel" role="dialog" aria-modal="true"
+         aria-labelledby="retcode-panel-title" tabindex="-1">
+      <div class="retcode-panel-header">
+        <h3 id="retcode-panel-title">${uxText('retcode.title')}</h3>
+        <button id="retcode-panel-close" class="retcode-panel-close" title="${uxText('common.close')}" aria-label="${uxText('common.close')}">&times;</button>
+      </div>
+
+      <div class="retcode-panel-content">
+        <input type="search" id="retcode-input" class="retcode-input"
+               placeholder="10019 or NO_MONEY" autocomplete="off" spellcheck="false">
+        <p class="retcode-hint" id="retcode-status">${uxText('retcode.hint')}</p>
+        <div id="retcode-results" class="retcode-results"></div>
+      </div>
+    </div>
+
+    <!-- RetCode Overlay -->
+    <div id="retcode-overlay" class="progress-overlay"></div>
+  `;
+
+  // Insert at end of body
+  document.body.insertAdjacentHTML('beforeend', retCodeHTML);
+
+  // Add event listeners
+  document.getElementById('retcode-float-btn').addEventListener('click', openRetCodePanel);
+  document.getElementById('retcode-panel-close').addEventListener('click', closeRetCodePanel);
+  document.getElementById('retcode-overlay').addEventListener('click', closeRetCodePanel);
+  document.getElementById('retcode-input').addEventListener('input', renderRetCodeResults);
+}
+
+function openRetCodePanel() {
+  const panel = document.getElementById('retcode-panel');
+  panel.classList.add('open');
+  document.getElementById('retcode-overlay').classList.add('visible');
+  document.body.style.overflow = 'hidden';
+  trapDialog(panel, closeRetCodePanel);
+
+  const input = document.getElementById('retcode-input');
+  input.focus();
+
+  // Codes are fetched on first use only
+  if (!retCodes) {
+    document.getElementById('retcode-status').textContent = uxText('retcode.loading');
+    loadRetCodes().then(codes => {
+      retCodes = codes;
+      document.getElementById('retcode-status').textContent = codes.length > 0
+        ? uxText('retcode.loaded', { count: codes.length })
+        : uxText('retcode.failed');
+      renderRetCodeResults();
+    });
+  }
+}
+
+function closeRetCodePanel() {
+  const panel = document.getElementById('retcode-panel');
+  panel.classList.remove('open');
+  document.getElementById('retcode-overlay').classList.remove('visible');
+  document.body.style.overflow = '';
+  releaseDialog(panel);
+}
+
+function loadRetCodes() {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(RETCODE_CACHE_KEY));
+    // Codes parsed from an earlier deploy are fetched again
+    if (cached && cached.build === getDocsBuild()) return Promise.resolve(cached.codes);
+  } catch (e) {
+    // Ignore unreadable cache and refetch
+  }
+
+  // On the reference page itself there is nothing to fetch
+  const source = getCurrentPagePath() === RETCODE_PAGE
+    ? Promise.resolve(document)
+    : fetch(getPageUrl(RETCODE_PAGE))
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then(html => new DOMParser().parseFromString(html, 'text/html'));
+
+  return source
+    .then(doc => {
+      const codes = parseRetCodeTables(doc);
+      try {
+        sessionStorage.setItem(RETCODE_CACHE_KEY, JSON.stringify({ build: getDocsBuild(), codes: codes }));
+      } catch (e) {
+        // Storage full or disabled - codes are refetched next time
+      }
+      return codes;
+    })
+    .catch(error => {
+      console.error('Failed to load return codes:', error);
+      return [];
+    });
+}
+
+function getRetCodeCategoryKind(title) {
+  const text = title.toLowerCase();
+  return RETCODE_CATEGORY_KINDS.find(kind => text.includes(kind)) || null;
+}
+
+function parseRetCodeTables(doc) {
+  const article = doc.querySelector('.md-content') || doc.body;
+  const codes = [];
+  const practices = parseRetCodePractices(article);
+  let heading = null;
+
+  // Walk headings and tables in document order so each table knows its category
+  article.querySelectorAll('h2, h3, table').forEach(element => {
+    if (element.tagName !== 'TABLE') {
+      heading = element;
+      return;
+    }
+
+    const headers = Array.from(element.querySelectorAll('thead th')).map(th => th.textContent.trim().toLowerCase());
+    const codeIndex = headers.indexOf('code');
+    const enumIndex = headers.indexOf('enum');
+    if (codeIndex === -1 || enumIndex === -1 || !heading) return;
+
+    const title = heading.textContent.replace(/¶/g, '').trim();
+    const kind = getRetCodeCategoryKind(title);
+
+    element.querySelectorAll('tbody tr').forEach(row => {
+      const cells = Array.from(row.children).map(cell => cell.textContent.trim());
+      const code = parseInt(cells[codeIndex], 10);
+      if (isNaN(code)) return;
+
+      codes.push({
+        code: code,
+        name: cells[enumIndex],
+        description: cells[headers.indexOf('description')] || '',
+        reason: cells[headers.indexOf('reason')] || '',
+        // Category heading without its leading emoji
+        category: title.replace(/^[^A-Za-z]+/, ''),
+        kind: kind,
+        anchor: heading.id || '',
+        handling: practices[code] || ''
+      });
+    });
+  });
+
+  return codes;
+}
+
+function parseRetCodePractices(article) {
+  // "Requotes (10004, 10020) - retry the request" -> { 10004: 'Retry the request', ... }
+  const practices = {};
+  const heading = Array.from(article.querySelectorAll('h2')).find(h2 => /best practices/i.test(h2.textContent));
+  if (!heading) return practices;
+
+  let list = heading.nextElementSibling;
+  while (list && list.tagName !== 'OL' && list.tagName !== 'UL' && list.tagName !== 'H2') {
+    list = list.nextElementSibling;
+  }
+  if (!list || list.tagName === 'H2') return practices;
+
+  list.querySelectorAll('li').forEach(item => {
+    const text = item.textContent.trim();
+    const separator = text.indexOf(' - ');
+    if (separator === -1) return;
+
+    const advice = text.slice(separator + 3).trim();
+    const codes = text.slice(0, separator).match(/\b\d{5}\b/g) || [];
+    codes.forEach(code => {
+      practices[code] = advice.charAt(0).toUpperCase() + advice.slice(1);
+    });
+  });
+
+  return practices;
+}
+
+function searchRetCodes(query) {
+  const q = query.trim().toUpperCase().replace(/^TRADE_RETCODE_/, '');
+  if (!q || !retCodes) return [];
+
+  // Numbers match by code prefix, text by enum name or description
+  if (/^\d+$/.test(q)) {
+    return retCodes
+      .filter(rc => String(rc.code).startsWith(q))
+      .sort((a, b) => (String(b.code) === q) - (String(a.code) === q));
+  }
+
+  return retCodes
+    .filter(rc => rc.name.toUpperCase().includes(q) || rc.description.toUpperCase().includes(q))
+    .sort((a, b) => b.name.toUpperCase().includes(q) - a.name.toUpperCase().includes(q));
+}
+
+function renderRetCodeResults() {
+  const container = document.getElementById('retcode-results');
+  const query = document.getElementById('retcode-input').value;
+  container.innerHTML = '';
+  if (!query.trim() || !retCodes) return;
+
+  const results = searchRetCodes(query).slice(0, RETCODE_MAX_RESULTS);
+  if (results.length === 0) {
+    container.innerHTML = `<p class="retcode-empty">${uxText('retcode.empty')}</p>`;
+    return;
+  }
+
+  results.forEach(rc => {
+    const card = document.createElement('div');
+    card.className = 'retcode-card';
+    card.dataset.kind = rc.kind || '';
+    card.innerHTML = `
+      <div class="retcode-card-header">
+        <span class="retcode-code"></span>
+        <span class="retcode-category"></span>
+      </div>
+      <code class="retcode-name"></code>
+      <p class="retcode-description"></p>
+      <p class="retcode-reason"></p>
+      <p class="retcode-handling"><strong>${uxText('retcode.handling')}</strong> <span></span></p>
+      <a class="retcode-link">${uxText('retcode.viewInReference')}</a>
+    `;
+    card.querySelector('.retcode-code').textContent = rc.code;
+    card.querySelector('.retcode-category').textContent = rc.category;
+    card.querySelector('.retcode-name').textContent = rc.name;
+    card.querySelector('.retcode-description').textContent = rc.description;
+    card.querySelector('.retcode-reason').textContent = rc.reason;
+    card.querySelector('.retcode-reason').hidden = !rc.reason;
+    // Generic advice is looked up at render time so it follows the UI language
+    const handling = rc.handling || (rc.kind ? uxText('retcode.kind.' + rc.kind) : '');
+    card.querySelector('.retcode-handling span').textContent = handling;
+    card.querySelector('.retcode-handling').hidden = !handling;
+    card.querySelector('.retcode-link').href = getPageUrl(RETCODE_PAGE) + (rc.anchor ? '#' + rc.anchor : '');
+    container.appendChild(card);
+  });
+}
+
+// ============================================================================
+// PROTOBUF INSPECTOR - Browse mt5_term_api types like `dotnet run inspect`
+// ============================================================================
+
+// Generated at build time by docs_hooks/protobuf_index.py
+const PROTOBUF_INDEX_PATH = 'assets/protobuf-index.json';
+const PROTOBUF_MAX_RESULTS = 30;
+
+const PROTOBUF_KIND_LABELS = {
+  data: 'Data',
+  request: 'Request',
+  reply: 'Reply',
+  class: 'Class',
+  enum: 'Enum'
+};
+
+let protobufIndex = null;
+
+function initProtobufInspector() {
+  createProtobufInspector();
+}
+
+function createProtobufInspector() {
+  // Check if inspector already exists
+  if (document.getElementById('protobuf-float-btn')) return;
+
+  const inspectorHTML = `
+    <!-- Floating Protobuf Inspector Button -->
+    <button id="protobuf-float-btn" class="protobuf-float-btn" aria-haspopup="dialog" title="${uxText('protobuf.button')}">
+      <svg width="26" height="26" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="16 18 22 12 16 6"></polyline>
+        <polyline points="8 6 2 12 8 18"></polyline>
+      </svg>
+    </button>
+
+    <!-- Protobuf Inspector Side Panel -->
+    <div id="protobuf-panel" class="protobuf-panel" role="dialog" aria-modal="true"
+         aria-labelledby="protobuf-panel-title" tabindex="-1">
+      <div class="protobuf-panel-header">
+        <h3 id="protobuf-panel-title">${uxText('protobuf.title')}</h3>
+        <button id="protobuf-panel-close" class="protobuf-panel-close" title="${uxText('common.close')}" aria-label="${uxText('common.close')}">&times;</button>
+      </div>
+
+      <div class="protobuf-panel-content">
+        <input type="search" id="protobuf-input" class="protobuf-input"
+               placeholder="${uxText('protobuf.placeholder')}" autocomplete="off" spellcheck="false">
+        <p class="protobuf-hint" id="protobuf-status">
+          ${uxText('protobuf.hint', { commands: '<code>list</code>, <code>search</code>, <code>field</code>, <code>enum</code>' })}
+        </p>
+        <div id="protobuf-results" class="protobuf-results"></div>
+      </div>
+    </div>
+
+    <!-- Protobuf Inspector Overlay -->
+    <div id="protobuf-overlay" class="progress-overlay"></div>
+  `;
+
+  // Insert at end of body
+  document.body.insertAdjacentHTML('beforeend', inspectorHTML);
+
+  // Add event listeners
+  document.getElementById('protobuf-float-btn').addEventListener('click', openProtobufPanel);
+  document.getElementById('protobuf-panel-close').addEventListener('click', closeProtobufPanel);
+  document.getElementById('protobuf-overlay').addEventListener('click', closeProtobufPanel);
+  document.getElementById('protobuf-input').addEventListener('input', renderProtobufResults);
+  document.getElementById('protobuf-results').addEventListener('click', e => {
+    // Field types that are themselves indexed open that type
+    const typeLink = e.target.closest('[data-inspect]');
+    if (!typeLink) return;
+    e.preventDefault();
+    inspectProtobufType(typeLink.dataset.inspect);
+  });
+}
+
+function openProtobufPanel() {
+  const panel = document.getElementById('protobuf-panel');
+  panel.classList.add('open');
+  document.getElementById('protobuf-overlay').classList.add('visible');
+  document.body.style.overflow = 'hidden';
+  trapDialog(panel, closeProtobufPanel);
+  document.getElementById('protobuf-input').focus();
+
+  // The index is fetched on first use only
+  if (!protobufIndex) {
+    const status = document.getElementById('protobuf-status');
+    const hint = status.innerHTML;
+    status.textContent = uxText('protobuf.loading');
+
+    loadProtobufIndex().then(index => {
+      protobufIndex = index;
+      if (index) {
+        status.innerHTML = hint;
+        renderProtobufResults();
+      } else {
+        status.textContent = uxText('protobuf.unavailable');
+      }
+    });
+  }
+}
+
+function closeProtobufPanel() {
+  const panel = document.getElementById('protobuf-panel');
+  panel.classList.remove('open');
+  document.getElementById('protobuf-overlay').classList.remove('visible');
+  document.body.style.overflow = '';
+  releaseDialog(panel);
+}
+
+function inspectProtobufType(name) {
+  const input = document.getElementById('protobuf-input');
+  input.value = name;
+  renderProtobufResults();
+  input.focus();
+}
+
+function loadProtobufIndex() {
+  return fetch(withDocsBuild(getSiteRootUrl() + PROTOBUF_INDEX_PATH))
+    .then(response => {
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return response.json();
+    })
+    .then(index => {
+      // Lookup by lower-case name for exact, case-insensitive matches
+      index.byName = {};
+      index.types.forEach(type => {
+        index.byName[type.name.toLowerCase()] = type;
+      });
+      return index;
+    })
+    .catch(error => {
+      console.error('Failed to load protobuf index:', error);
+      return null;
+    });
+}
+
+function queryProtobufIndex(input) {
+  const [command, ...rest] = input.trim().split(/\s+/);
+  const arg = rest.join(' ').toLowerCase();
+  const types = protobufIndex.types;
+  const nameMatches = text => types.filter(type => type.name.toLowerCase().includes(text));
+
+  // Same commands as the console inspector
+  switch (command.toLowerCase()) {
+    case 'list':
+    case 'ls':
+      return types
+        .filter(type => type.kind === 'data' || type.kind === 'request' || type.kind === 'reply')
+        .map(type => ({ type: type }));
+
+    case 'search':
+    case 'find':
+      return arg ? nameMatches(arg).map(type => ({ type: type })) : [];
+
+    case 'field':
+      return arg ? findProtobufFields(arg) : [];
+
+    case 'enum':
+      return arg ? findProtobufEnums(arg) : [];
+  }
+
+  // Plain text: exact type first, then type names, fields and enum values
+  const query = input.trim().toLowerCase();
+  const exact = protobufIndex.byName[query];
+  if (exact) return [{ type: exact, expanded: true }];
+
+  const results = nameMatches(query).map(type => ({ type: type }));
+  const seen = new Set(results.map(result => result.type.name));
+  findProtobufFields(query).concat(findProtobufEnums(query)).forEach(result => {
+    if (!seen.has(result.type.name)) {
+      seen.add(result.type.name);
+      results.push(result);
+    }
+  });
+
+  return results;
+}
+
+function findProtobufFields(text) {
+  return protobufIndex.types
+    .filter(type => type.fields)
+    .map(type => ({
+      type: type,
+      fields: type.fields.filter(field =>
+        field.name.toLowerCase().includes(text) || field.proto.includes(text)
+      )
+    }))
+    .filter(result => result.fields.length > 0);
+}
+
+function findProtobufEnums(text) {
+  const query = text.toUpperCase();
+
+  return protobufIndex.types
+    .filter(type => type.kind === 'enum')
+    .map(type => {
+      // Enum name match shows all values, value match only the matching ones
+      if (type.name.toUpperCase().includes(query)) return { type: type, expanded: true };
+      const values = type.values.filter(value =>
+        value.name.includes(query) || value.csharp.toUpperCase().includes(query)
+      );
+      return values.length > 0 ? { type: type, values: values } : null;
+    })
+    .filter(Boolean);
+}
+
+function renderProtobufResults() {
+  const container = document.getElementById('protobuf-results');
+  const query = document.getElementById('protobuf-input').value;
+  container.innerHTML = '';
+  if (!query.trim() || !protobufIndex) return;
+
+  const results = queryProtobufIndex(query);
+  if (results.length === 0) {
+    container.innerHTML = `<p class="protobuf-empty">${uxText('protobuf.empty')}</p>`;
+    return;
+  }
+
+  // `list` shows everything collapsed, searches are capped
+  const limit = /^(list|ls)$/i.test(query.trim()) ? results.length : PROTOBUF_MAX_RESULTS;
+
+  const summary = document.createElement('p');
+  summary.className = 'protobuf-summary';
+  summary.textContent = results.length > limit
+    ? uxText('protobuf.showing', { limit: limit, count: results.length })
+    : uxText('protobuf.count', { count: results.length });
+  container.appendChild(summary);
+
+  results.slice(0, limit).forEach(result => {
+    container.appendChild(renderProtobufCard(result));
+  });
+}
+
+function renderProtobufCard(result) {
+  const type = result.type;
+  const card = document.createElement('details');
+  card.className = 'protobuf-card';
+  card.dataset.kind = type.kind;
+  card.open = Boolean(result.expanded || result.fields || result.values);
+
+  const header = document.createElement('summary');
+  header.innerHTML = '<span class="protobuf-kind"></span> <span class="protobuf-name"></span>';
+  header.querySelector('.protobuf-kind').textContent = `[${PROTOBUF_KIND_LABELS[type.kind]}]`;
+  header.querySelector('.protobuf-name').textContent = type.name;
+  card.appendChild(header);
+
+  if (type.summary) {
+    const description = document.createElement('p');
+    description.className = 'protobuf-description';
+    description.textContent = type.summary;
+    card.appendChild(description);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'protobuf-members';
+
+  if (type.kind === 'enum') {
+    (result.values || type.values).forEach(value => {
+      const item = document.createElement('li');
+      item.innerHTML = '<code class="protobuf-member"></code> = <span class="protobuf-value"></span>';
+      item.querySelector('.protobuf-member').textContent = value.name;
+      item.querySelector('.protobuf-value').textContent = value.value;
+      if (value.summary) item.title = value.summary;
+      list.appendChild(item);
+    });
+  } else {
+    const fields = result.fields || type.fields;
+    if (fields.length === 0) {
+      list.innerHTML = `<li class="protobuf-empty">${uxText('protobuf.noFields')}</li>`;
+    }
+    fields.forEach(field => {
+      const item = document.createElement('li');
+      item.innerHTML = `${field.repeated ? '📚' : '•'} <code class="protobuf-member"></code> : <span class="protobuf-type"></span>`;
+      item.querySelector('.protobuf-member').textContent = field.name;
+      item.title = `${field.proto} = ${field.number}` + (field.summary ? ` — ${field.summary}` : '');
+      renderProtobufFieldType(item.querySelector('.protobuf-type'), field.type);
+      list.appendChild(item);
+    });
+  }
+  card.appendChild(list);
+
+  if (type.page) {
+    const link = document.createElement('a');
+    link.className = 'protobuf-link';
+    link.href = getPageUrl(type.page);
+    link.textContent = uxText('protobuf.docsLink', { title: getPageTitle(type.page) });
+    card.appendChild(link);
+  }
+
+  return card;
+}
+
+function renderProtobufFieldType(target, typeName) {
+  // Make indexed type names inside e.g. List<PositionInfo> clickable
+  typeName.split(/([A-Za-z_][\w.]*)/).forEach(part => {
+    if (part && protobufIndex.byName[part.toLowerCase()]) {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.dataset.inspect = part;
+      link.textContent = part;
+      target.appendChild(link);
+    } else if (part) {
+      target.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+// ============================================================================
+// GLOSSARY CARDS - Link first mentions of glossary terms to their definition
+// ============================================================================
+
+const GLOSSARY_PAGE = 'Glossary';
+const GLOSSARY_CACHE_KEY = 'csharpmt5_docs_glossary';
+const GLOSSARY_DEFINITION_MAX_LENGTH = 260;
+
+// Headings too generic to decorate in running text
+const GLOSSARY_SKIP_TERMS = ['Examples', 'bin/ and obj/ Folders', '.csproj File'];
+
+// Never decorate inside these; `.no-glossary` / `data-glossary="off"` let
+// authors opt a block out, front matter `ux: { glossary: false }` a whole page
+const GLOSSARY_SKIP_SELECTOR = 'pre, code, kbd, a, h1, h2, h3, h4, h5, h6, button, ' +
+  '.glossary-term, .no-glossary, [data-glossary="off"], .learning-path-card, .layer-navigator, .quiz, ' +
+  '.page-updated-notice, .orchestrator-chart, .config-builder, .snippet-vars-bar';
+
+let glossaryCardHideTimer = null;
+
+function mountGlossaryCards(page) {
+  if (page.path === GLOSSARY_PAGE) return;
+  if (getPageUxConfig().glossary === false) return;
+  if (!page.article) return;
+
+  loadGlossary().then(entries => {
+    if (page.active && entries.length > 0) decorateGlossaryTerms(page.article, entries);
+  });
+
+  return hideGlossaryCard;
+}
+
+function loadGlossary() {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(GLOSSARY_CACHE_KEY));
+    // Entries parsed from an earlier deploy are fetched again
+    if (cached && cached.build === getDocsBuild()) return Promise.resolve(cached.entries);
+  } catch (e) {
+    // Ignore unreadable cache and refetch
+  }
+
+  // On the glossary page itself there is nothing to fetch
+  const source = getCurrentPagePath() === GLOSSARY_PAGE
+    ? Promise.resolve(document)
+    : fetch(getPageUrl(GLOSSARY_PAGE))
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then(html => new DOMParser().parseFromString(html, 'text/html'));
+
+  return source
+    .then(doc => {
+      const entries = parseGlossary(doc);
+      try {
+        sessionStorage.setItem(GLOSSARY_CACHE_KEY, JSON.stringify({ build: getDocsBuild(), entries: entries }));
+      } catch (e) {
+        // Storage full or disabled - the glossary is refetched next page
+      }
+      return entries;
+    })
+    .catch(error => {
+      console.error('Failed to load glossary:', error);
+      return [];
+    });
+}
+
+function parseGlossary(doc) {
+  const article = doc.querySelector('.md-content') || doc.body;
+  const entries = [];
+
+  article.querySelectorAll('h3[id]').forEach(heading => {
+    const title = heading.textContent.replace(/¶/g, '').trim();
+    if (GLOSSARY_SKIP_TERMS.includes(title)) return;
+
+    // Definition: paragraphs up to the next heading or rule
+    const paragraphs = [];
+    const subEntries = [];
+    let node = heading.nextElementSibling;
+    while (node && !/^(H2|H3|HR)$/.test(node.tagName)) {
+      if (node.tagName === 'P' && paragraphs.length < 2 && !isGlossaryLabel(node)) {
+        let text = node.textContent.trim();
+
+        // "...three abstraction layers:" is completed by the list below it
+        const list = node.nextElementSibling;
+        if (text.endsWith(':') && list && list.tagName === 'UL') {
+          text += ' ' + Array.from(list.children).map(item => item.textContent.trim()).join('; ');
+        }
+        paragraphs.push(text);
+      }
+
+      // "`GridTradingOrchestrator` - Grid trading for range-bound markets"
+      if (node.tagName === 'UL') {
+        node.querySelectorAll('li').forEach(item => {
+          const code = item.querySelector('code');
+          const match = item.textContent.match(/^\s*(\S+)\s+-\s+(.+)$/);
+          if (code && match && code.textContent === match[1] && /^[A-Z]\w+$/.test(match[1])) {
+            subEntries.push({ term: match[1], definition: match[2].trim() });
+          }
+        });
+      }
+      node = node.nextElementSibling;
+    }
+
+    const definition = truncateText(paragraphs.join(' — '), GLOSSARY_DEFINITION_MAX_LENGTH);
+    if (!definition) return;
+
+    // "MT5 Gateway (mt5term)" is known by both names
+    const names = title.match(/^(.+?)\s*\((.+)\)$/);
+    const terms = names ? [names[1], names[2]] : [title];
+
+    entries.push({ terms: terms, title: title, definition: definition, anchor: heading.id });
+    subEntries.forEach(sub => {
+      entries.push({
+        terms: [sub.term],
+        title: sub.term,
+        definition: `${title}: ${sub.definition}`,
+        anchor: heading.id
+      });
+    });
+  });
+
+  return entries;
+}
+
+// "**Usage:** ..." and "**Examples:**" paragraphs are extras, not the definition
+function isGlossaryLabel(paragraph) {
+  const first = paragraph.firstElementChild;
+  return Boolean(first && first.tagName === 'STRONG' &&
+    paragraph.textContent.trim().startsWith(first.textContent.trim()) &&
+    first.textContent.trim().endsWith(':'));
+}
+
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return text.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function decorateGlossaryTerms(article, entries) {
+  // Longest terms first so "MT5 Gateway" wins over shorter overlapping names
+  const pending = [];
+  entries.forEach(entry => {
+    entry.terms.forEach(term => pending.push({ term: term, entry: entry }));
+  });
+  pending.sort((a, b) => b.term.length - a.term.length);
+
+  const pattern = new RegExp(
+    '(?<![\\w/.-])(' + pending.map(item => escapeRegExp(item.term)).join('|') + ')(?![\\w/-])',
+    'gi'
+  );
+  const decorated = new Set();
+
+  const walker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.parentElement.closest(GLOSSARY_SKIP_SELECTOR)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach(textNode => {
+    let node = textNode;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(node.nodeValue)) !== null) {
+      const item = pending.find(p => p.term.toLowerCase() === match[1].toLowerCase());
+
+      // Only the first mention of each entry is decorated
+      if (!item || decorated.has(item.entry)) continue;
+      decorated.add(item.entry);
+
+      const termNode = node.splitText(match.index);
+      node = termNode.splitText(match[1].length);
+      termNode.replaceWith(createGlossaryTerm(match[1], item.entry));
+      pattern.lastIndex = 0;
+    }
+  });
+
+  if (decorated.size > 0) createGlossaryCard();
+}
+
+function createGlossaryTerm(text, entry) {
+  const link = document.createElement('a');
+  link.className = 'glossary-term';
+  link.href = getPageUrl(GLOSSARY_PAGE) + '#' + entry.anchor;
+  link.textContent = text;
+  link.dataset.title = entry.title;
+  link.dataset.definition = entry.definition;
+  link.setAttribute('aria-describedby', 'glossary-card');
+
+  link.addEventListener('mouseenter', () => showGlossaryCard(link));
+  link.addEventListener('focus', () => showGlossaryCard(link));
+  link.addEventListener('mouseleave', scheduleHideGlossaryCard);
+  link.addEventListener('blur', scheduleHideGlossaryCard);
+
+  return link;
+}
+
+function createGlossaryCard() {
+  if (document.getElementById('glossary-card')) return;
+
+  const card = document.createElement('div');
+  card.id = 'glossary-card';
+  card.className = 'glossary-card';
+  // A tooltip holds nothing focusable: the term itself links to the full entry
+  card.setAttribute('role', 'tooltip');
+  card.hidden = true;
+  card.innerHTML = `
+    <div class="glossary-card-title"></div>
+    <p class="glossary-card-definition"></p>
+    <p class="glossary-card-hint">${uxText('glossary.hint')}</p>
+  `;
+  document.body.appendChild(card);
+
+  // Keep the card open while the pointer is on it, so it can be read at any zoom
+  card.addEventListener('mouseenter', () => clearTimeout(glossaryCardHideTimer));
+  card.addEventListener('mouseleave', scheduleHideGlossaryCard);
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape') hideGlossaryCard();
+  });
+}
+
+function showGlossaryCard(term) {
+  const card = document.getElementById('glossary-card');
+  if (!card) return;
+
+  clearTimeout(glossaryCardHideTimer);
+  card.querySelector('.glossary-card-title').textContent = term.dataset.title;
+  card.querySelector('.glossary-card-definition').textContent = term.dataset.definition;
+  card.hidden = false;
+
+  // Below the term, or above it when there is no room
+  const rect = term.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  const top = rect.bottom + 8 + cardRect.height > window.innerHeight
+    ? rect.top - cardRect.height - 8
+    : rect.bottom + 8;
+  const left = Math.min(Math.max(rect.left, 8), window.innerWidth - cardRect.width - 8);
+
+  card.style.top = Math.max(top, 8) + 'px';
+  card.style.left = Math.max(left, 8) + 'px';
+}
+
+function scheduleHideGlossaryCard() {
+  clearTimeout(glossaryCardHideTimer);
+  glossaryCardHideTimer = setTimeout(hideGlossaryCard, 200);
+}
+
+function hideGlossaryCard() {
+  const card = document.getElementById('glossary-card');
+  if (card) card.hidden = true;
+}
+
+// ============================================================================
+// LAYER NAVIGATOR - "Same operation in other layers" on method pages
+// ============================================================================
+
+const LAYER_INDEX_PATH = 'assets/layer-index.json';
+
+let layerIndexRequest = null;
+
+function mountLayerNavigator(page) {
+  const article = page.article;
+  if (!article) return;
+
+  const currentPath = page.path;
+
+  // Only method pages and the API reference pages get boxes
+  const isMethodPage = /^(MT5Account|MT5Service|MT5Sugar)\//.test(currentPath) || currentPath.startsWith('API_Reference/');
+  if (!isMethodPage) return;
+
+  loadLayerIndex().then(index => {
+    if (!index || !page.active) return;
+
+    // Dedicated page, e.g. MT5Account/4. Trading_Operattons/OrderSend
+    const pageMethod = index.methods.find(method => method.page === currentPath);
+    if (pageMethod) {
+      const box = renderLayerNavigator(index, pageMethod, true);
+      if (!box) return;
+
+      const heading = article.querySelector('h1');
+      let anchor = heading;
+      if (heading && heading.nextElementSibling && heading.nextElementSibling.tagName === 'BLOCKQUOTE') {
+        anchor = heading.nextElementSibling;
+      }
+      if (anchor) anchor.after(box);
+      else article.prepend(box);
+      return;
+    }
+
+    // API reference: one collapsed box under each method's summary
+    if (currentPath.startsWith('API_Reference/')) {
+      index.methods
+        .filter(method => method.reference === currentPath)
+        .forEach(method => {
+          const heading = article.querySelector(`h2[id="${method.anchor}"]`);
+          const box = heading && renderLayerNavigator(index, method, false);
+          if (!box) return;
+
+          const summary = heading.nextElementSibling;
+          (summary && summary.tagName === 'P' ? summary : heading).after(box);
+        });
+      return;
+    }
+
+    // Pages covering several methods, e.g. MT5Service/Trading_Convenience_Methods:
+    // a named box for each method in the page's table, under the first
+    // heading that covers it
+    const placed = new Map();
+    index.methods
+      .filter(method => (method.listedOn || []).includes(currentPath))
+      .forEach(method => {
+        const heading = findMethodHeading(article, method.name);
+        const box = heading && renderLayerNavigator(index, method, false, uxText('layers.titleFor', { method: method.name }));
+        if (!box) return;
+
+        // Several boxes under one heading keep the index order
+        (placed.get(heading) || heading).after(box);
+        placed.set(heading, box);
+      });
+  });
+}
+
+function findMethodHeading(article, name) {
+  const headings = Array.from(article.querySelectorAll('h2[id], h3[id]'));
+  const named = new RegExp('\\b' + escapeRegExp(name) + '\\b');
+  const calls = heading => getSectionCode(heading).includes(name + '(');
+
+  // A heading named after the method, else the first example (h3) whose code
+  // calls it, else any section that does
+  return headings.find(heading => named.test(heading.textContent)) ||
+    headings.find(heading => heading.tagName === 'H3' && calls(heading)) ||
+    headings.find(calls);
+}
+
+function getSectionCode(heading) {
+  let code = '';
+  let node = heading.nextElementSibling;
+  while (node && !/^H[23]$/.test(node.tagName)) {
+    node.querySelectorAll('pre').forEach(pre => {
+      code += pre.textContent;
+    });
+    if (node.tagName === 'PRE') code += node.textContent;
+    node = node.nextElementSibling;
+  }
+  return code;
+}
+
+function loadLayerIndex() {
+  // Fetched once per full page load; method pages and the palette share it
+  if (!layerIndexRequest) {
+    layerIndexRequest = fetch(withDocsBuild(getSiteRootUrl() + LAYER_INDEX_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .catch(error => {
+        console.error('Failed to load layer index:', error);
+        return null;
+      });
+  }
+  return layerIndexRequest;
+}
+
+function getLayerEquivalents(index, method) {
+  if (!method.operation) return [];
+
+  // Wrappers (with a variant, e.g. GetBidAsync) match the plain operation and
+  // their own variant - not every other reader of a symbol double
+  return index.methods.filter(other =>
+    other.operation === method.operation && other.layer !== method.layer &&
+    (!other.variant || !method.variant || other.variant === method.variant));
+}
+
+function renderLayerNavigator(index, method, open, title = uxText('layers.title')) {
+  const equivalents = getLayerEquivalents(index, method);
+  if (equivalents.length === 0) return null;
+
+  const box = document.createElement('details');
+  box.className = 'layer-navigator';
+  box.open = open;
+  box.innerHTML = `
+    <summary></summary>
+    <div class="layer-navigator-layers"></div>
+  `;
+
+  box.querySelector('summary').textContent = title;
+
+  const layers = box.querySelector('.layer-navigator-layers');
+  index.layers
+    .filter(layer => layer !== method.layer)
+    .forEach(layer => {
+      const methods = equivalents.filter(other => other.layer === layer);
+      if (methods.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'layer-navigator-layer';
+      group.innerHTML = `
+        <div class="layer-navigator-layer-name"></div>
+        <ul class="layer-navigator-methods"></ul>
+      `;
+      group.querySelector('.layer-navigator-layer-name').textContent = layer;
+
+      const list = group.querySelector('.layer-navigator-methods');
+      methods.forEach(other => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+          <a class="layer-navigator-method"></a>
+          <span class="layer-navigator-summary"></span>
+          <code class="layer-navigator-signature"></code>
+        `;
+
+        const link = item.querySelector('.layer-navigator-method');
+        link.textContent = other.name;
+        link.href = other.page
+          ? getPageUrl(other.page)
+          : getPageUrl(other.reference) + '#' + other.anchor;
+        item.querySelector('.layer-navigator-summary').textContent = other.summary;
+
+        const signature = item.querySelector('.layer-navigator-signature');
+        if (other.signature) signature.textContent = other.signature;
+        else signature.remove();
+
+        list.appendChild(item);
+      });
+
+      layers.appendChild(group);
+    });
+
+  return box;
+}
+
+// ============================================================================
+// COMMAND PALETTE - Ctrl/Cmd+K jump to any page, method, type, RetCode or term
+// ============================================================================
+
+const PALETTE_MAX_PER_GROUP = 6;
+const PALETTE_RECENT_LIMIT = 8;
+const PALETTE_RECENT_BOOST = 150;
+
+const PALETTE_KINDS = {
+  page: 'Pages',
+  method: 'API Methods',
+  type: 'Protobuf Types',
+  retcode: 'Return Codes',
+  term: 'Glossary'
+};
+
+let paletteItems = null;
+let paletteResults = [];
+let paletteActiveIndex = 0;
+
+function initCommandPalette() {
+  createCommandPalette();
+
+  document.addEventListener('keydown', e => {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (document.getElementById('command-palette').classList.contains('open')) {
+        closeCommandPalette();
+      } else {
+        openCommandPalette();
+      }
+    }
+  });
+}
+
+function createCommandPalette() {
+  if (document.getElementById('command-palette')) return;
+
+  const shortcut = /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘K' : 'Ctrl+K';
+  const paletteHTML = `
+    <!-- Command Palette -->
+    <div id="command-palette" class="command-palette" role="dialog" aria-modal="true" aria-label="${uxText('palette.label')}">
+      <input type="text" id="palette-input" class="palette-input"
+             placeholder="${uxText('palette.placeholder')}"
+             role="combobox" aria-expanded="true" aria-controls="palette-results"
+             aria-autocomplete="list" autocomplete="off" spellcheck="false">
+      <div id="palette-results" class="palette-results" role="listbox" aria-label="${uxText('palette.results')}"></div>
+      <div class="palette-footer">
+        <span id="palette-status"></span>
+        <span><kbd>↑</kbd><kbd>↓</kbd> ${uxText('palette.help', { enter: '<kbd>Enter</kbd>', esc: '<kbd>Esc</kbd>' })} · <kbd>${shortcut}</kbd></span>
+      </div>
+    </div>
+
+    <!-- Command Palette Overlay -->
+    <div id="palette-overlay" class="progress-overlay"></div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', paletteHTML);
+
+  const input = document.getElementById('palette-input');
+  input.addEventListener('input', () => {
+    paletteActiveIndex = 0;
+    renderPaletteResults();
+  });
+  input.addEventListener('keydown', onPaletteKeydown);
+  document.getElementById('palette-overlay').addEventListener('click', closeCommandPalette);
+
+  document.getElementById('palette-results').addEventListener('click', e => {
+    const option = e.target.closest('[data-index]');
+    if (option) selectPaletteResult(Number(option.dataset.index));
+  });
+}
+
+function openCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  palette.classList.add('open');
+  document.getElementById('palette-overlay').classList.add('visible');
+
+  const input = document.getElementById('palette-input');
+  input.value = '';
+  trapDialog(palette, closeCommandPalette);
+  input.focus();
+  paletteActiveIndex = 0;
+  renderPaletteResults();
+
+  // Sources are fetched on first use only
+  if (!paletteItems) {
+    document.getElementById('palette-status').textContent = uxText('palette.loading');
+    loadPaletteItems().then(items => {
+      paletteItems = items;
+      renderPaletteResults();
+    });
+  }
+}
+
+function closeCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  palette.classList.remove('open');
+  document.getElementById('palette-overlay').classList.remove('visible');
+  releaseDialog(palette);
+}
+
+function loadPaletteItems() {
+  // Each source fails on its own; the palette works with whatever loaded
+  const methods = loadLayerIndex().then(index => index ? index.methods : []);
+  const types = protobufIndex
+    ? Promise.resolve(protobufIndex)
+    : loadProtobufIndex().then(index => {
+      protobufIndex = index;
+      return index;
+    });
+  const codes = retCodes
+    ? Promise.resolve(retCodes)
+    : loadRetCodes().then(loaded => {
+      retCodes = loaded;
+      return loaded;
+    });
+
+  return Promise.all([methods, types, codes, loadGlossary()]).then(([methodList, typeIndex, codeList, terms]) => {
+    const items = getPalettePageItems();
+
+    methodList.forEach(method => {
+      items.push({
+        kind: 'method',
+        title: method.name,
+        subtitle: `${method.layer} · ${method.summary}`,
+        keywords: [`${method.layer}.${method.name}`],
+        page: method.page || method.reference,
+        url: method.page ? getPageUrl(method.page) : getPageUrl(method.reference) + '#' + method.anchor
+      });
+    });
+
+    (typeIndex ? typeIndex.types : []).forEach(type => {
+      items.push({
+        kind: 'type',
+        title: type.name,
+        subtitle: PROTOBUF_KIND_LABELS[type.kind] + (type.summary ? ` · ${type.summary}` : ''),
+        keywords: [],
+        action: () => {
+          openProtobufPanel();
+          inspectProtobufType(type.name);
+        }
+      });
+    });
+
+    codeList.forEach(code => {
+      items.push({
+        kind: 'retcode',
+        title: `${code.code} ${code.name}`,
+        subtitle: code.description,
+        keywords: [String(code.code), code.name.replace(/^TRADE_RETCODE_/, '')],
+        url: getPageUrl(RETCODE_PAGE) + (code.anchor ? '#' + code.anchor : '')
+      });
+    });
+
+    terms.forEach(entry => {
+      items.push({
+        kind: 'term',
+        title: entry.title,
+        subtitle: entry.definition,
+        keywords: entry.terms,
+        url: getPageUrl(GLOSSARY_PAGE) + '#' + entry.anchor
+      });
+    });
+
+    return items;
+  });
+}
+
+function getPalettePageItems() {
+  const items = [];
+  Object.values(getDocStructure()).forEach(category => {
+    category.pages.forEach(page => {
+      items.push({
+        kind: 'page',
+        title: getPageTitle(page),
+        subtitle: `${category.name} · ${page}`,
+        keywords: [page],
+        page: page,
+        url: getPageUrl(page)
+      });
+    });
+  });
+  return items;
+}
+
+function getRecentPageBoosts() {
+  // Most recently visited first, each step down boosts a little less
+  const progress = getProgress();
+  const boosts = {};
+
+  Object.entries(progress.pages)
+    .filter(([, record]) => record.lastVisitedAt)
+    .sort((a, b) => (a[1].lastVisitedAt < b[1].lastVisitedAt ? 1 : -1))
+    .slice(0, PALETTE_RECENT_LIMIT)
+    .forEach(([page], rank) => {
+      boosts[page] = PALETTE_RECENT_BOOST * (1 - rank / PALETTE_RECENT_LIMIT);
+    });
+
+  return boosts;
+}
+
+function scorePaletteText(query, text) {
+  const target = text.toLowerCase();
+  if (!target) return 0;
+  if (target === query) return 1000;
+  if (target.startsWith(query)) return 800 - Math.min(target.length - query.length, 100);
+
+  const index = target.indexOf(query);
+  if (index > 0) {
+    const atWordStart = !/[a-z0-9]/.test(target[index - 1]) || /[A-Z]/.test(text[index]);
+    return (atWordStart ? 650 : 500) - Math.min(index, 100);
+  }
+
+  // Fuzzy: every query character in order, rewarding runs and word starts.
+  // Spaces are dropped so "no money" still finds TRADE_RETCODE_NO_MONEY
+  const compact = query.replace(/\s+/g, '');
+  let score = 0;
+  let position = -1;
+  for (const char of compact) {
+    const next = target.indexOf(char, position + 1);
+    if (next === -1) return 0;
+
+    score += 10;
+    if (next === position + 1) score += 15;
+    if (next === 0 || !/[a-z0-9]/.test(target[next - 1]) || /[A-Z]/.test(text[next])) score += 20;
+    position = next;
+  }
+
+  // Letters scattered across a long path are noise, not a match
+  if (score < compact.length * 18) return 0;
+  return Math.min(score, 400) - Math.min(target.length - query.length, 50);
+}
+
+function searchPalette(query, items, boosts) {
+  const normalized = query.trim().toLowerCase();
+
+  const scored = [];
+  items.forEach(item => {
+    let score = scorePaletteText(normalized, item.title);
+    item.keywords.forEach(keyword => {
+      score = Math.max(score, scorePaletteText(normalized, keyword) * 0.8);
+    });
+    if (score <= 0) return;
+
+    if (item.page && boosts[item.page]) score += boosts[item.page];
+    scored.push({ item: item, score: score });
+  });
+
+  // Groups are ordered by their best hit, results within a group by score
+  const groups = {};
+  scored.sort((a, b) => b.score - a.score).forEach(result => {
+    const kind = result.item.kind;
+    if (!groups[kind]) groups[kind] = [];
+    if (groups[kind].length < PALETTE_MAX_PER_GROUP) groups[kind].push(result.item);
+  });
+
+  return Object.keys(groups).map(kind => ({ kind: kind, items: groups[kind] }));
+}
+
+function getRecentPaletteGroups(items, boosts) {
+  const currentPath = getCurrentPagePath();
+  const recent = items
+    .filter(item => item.kind === 'page' && boosts[item.page] && item.page !== currentPath)
+    .sort((a, b) => boosts[b.page] - boosts[a.page]);
+
+  return recent.length > 0 ? [{ kind: 'page', label: uxText('palette.recent'), items: recent }] : [];
+}
+
+function renderPaletteResults() {
+  const query = document.getElementById('palette-input').value;
+  const container = document.getElementById('palette-results');
+  const status = document.getElementById('palette-status');
+
+  // Pages are known up front; other sources fill in once loaded
+  const items = paletteItems || getPalettePageItems();
+  const boosts = getRecentPageBoosts();
+  const groups = query.trim()
+    ? searchPalette(query, items, boosts)
+    : getRecentPaletteGroups(items, boosts);
+
+  container.innerHTML = '';
+  paletteResults = [];
+
+  groups.forEach(group => {
+    const heading = document.createElement('div');
+    heading.className = 'palette-group';
+    heading.setAttribute('role', 'presentation');
+    heading.textContent = group.label || uxTextOr('palette.kind.' + group.kind, PALETTE_KINDS[group.kind]);
+    container.appendChild(heading);
+
+    group.items.forEach(item => {
+      const index = paletteResults.length;
+      paletteResults.push(item);
+
+      const option = document.createElement('div');
+      option.id = `palette-option-${index}`;
+      option.className = 'palette-option';
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+      option.innerHTML = `
+        <span class="palette-option-title"></span>
+        <span class="palette-option-subtitle"></span>
+      `;
+      option.querySelector('.palette-option-title').textContent = item.title;
+      option.querySelector('.palette-option-subtitle').textContent = item.subtitle;
+      container.appendChild(option);
+    });
+  });
+
+  if (paletteItems) {
+    status.textContent = query.trim() && paletteResults.length === 0
+      ? uxText('palette.noMatches')
+      : uxText('palette.count', { count: paletteResults.length });
+  }
+
+  paletteActiveIndex = Math.min(paletteActiveIndex, Math.max(paletteResults.length - 1, 0));
+  highlightPaletteOption();
+}
+
+function highlightPaletteOption() {
+  const input = document.getElementById('palette-input');
+
+  document.querySelectorAll('.palette-option').forEach(option => {
+    const active = Number(option.dataset.index) === paletteActiveIndex;
+    option.classList.toggle('active', active);
+    option.setAttribute('aria-selected', active ? 'true' : 'false');
+    if (active) {
+      input.setAttribute('aria-activedescendant', option.id);
+      if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    }
+  });
+
+  if (paletteResults.length === 0) input.removeAttribute('aria-activedescendant');
+}
+
+function onPaletteKeydown(e) {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (paletteResults.length === 0) return;
+
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    paletteActiveIndex = (paletteActiveIndex + step + paletteResults.length) % paletteResults.length;
+    highlightPaletteOption();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    selectPaletteResult(paletteActiveIndex);
+  }
+}
+
+function selectPaletteResult(index) {
+  const item = paletteResults[index];
+  if (!item) return;
+
+  // Focus goes back first, so a panel the result opens returns it there too
+  closeCommandPalette();
+
+  if (item.action) item.action();
+  else window.location.href = item.url;
+}
+
+// ============================================================================
+// RISK CALCULATOR - Position size from risk, as CalcVolumeForRiskAsync does it
+// ============================================================================
+
+// The math itself is in risk-math.js (calculateRiskVolume); this is the widget
+
+// Mounted from markdown with <div class="risk-calculator"></div>; any field
+// can be preset with a data attribute, e.g. data-sl-points="150"
+const RISK_CALCULATOR_FIELDS = [
+  { key: 'balance', label: 'Account balance', value: 10000 },
+  { key: 'riskPercent', label: 'Risk per trade (%)', value: 1 },
+  { key: 'slPoints', label: 'Stop loss (points)', value: 50 },
+  { key: 'point', label: 'Point size', value: 0.00001 },
+  { key: 'tickSize', label: 'Tick size', value: 0.00001 },
+  { key: 'tickValue', label: 'Tick value (1 lot)', value: 1 },
+  { key: 'volumeMin', label: 'Volume min', value: 0.01 },
+  { key: 'volumeStep', label: 'Volume step', value: 0.01 },
+  { key: 'volumeMax', label: 'Volume max', value: 100 }
+];
+
+function getRiskFieldLabel(field) {
+  return uxTextOr('risk.field.' + field.key, field.label);
+}
+
+function mountRiskCalculators(page) {
+  if (!page.article) return;
+  page.article.querySelectorAll('.risk-calculator').forEach(mountRiskCalculator);
+}
+
+function mountRiskCalculator(container) {
+  if (container.dataset.mounted) return;
+  container.dataset.mounted = 'true';
+
+  const id = 'risk-calc-' + document.querySelectorAll('.risk-calculator[data-mounted]').length;
+  container.innerHTML = `
+    <div class="risk-calculator-title">${uxText('risk.title')}</div>
+    <form class="risk-calculator-form"></form>
+    <div class="risk-calculator-result" aria-live="polite">
+      <div class="risk-calculator-volume"></div>
+      <ol class="risk-calculator-steps"></ol>
+    </div>
+  `;
+
+  const form = container.querySelector('.risk-calculator-form');
+  RISK_CALCULATOR_FIELDS.forEach(field => {
+    const preset = parseFloat(container.dataset[field.key]);
+    const label = document.createElement('label');
+    label.innerHTML = `<span></span><input type="number" step="any" min="0">`;
+    label.querySelector('span').textContent = getRiskFieldLabel(field);
+
+    const input = label.querySelector('input');
+    input.id = `${id}-${field.key}`;
+    input.name = field.key;
+    input.value = isNaN(preset) ? field.value : preset;
+    form.appendChild(label);
+  });
+
+  form.addEventListener('submit', e => e.preventDefault());
+  form.addEventListener('input', () => renderRiskCalculator(container));
+  renderRiskCalculator(container);
+}
+
+function readRiskCalculatorInputs(container) {
+  const inputs = {};
+  RISK_CALCULATOR_FIELDS.forEach(field => {
+    inputs[field.key] = parseFloat(container.querySelector(`input[name="${field.key}"]`).value);
+  });
+  return inputs;
+}
+
+function formatRiskNumber(value, digits) {
+  return Number(value.toFixed(digits)).toLocaleString('en-US', { maximumFractionDigits: digits });
+}
+
+function renderRiskCalculator(container) {
+  const inputs = readRiskCalculatorInputs(container);
+  const result = calculateRiskVolume(inputs);
+  const volumeElement = container.querySelector('.risk-calculator-volume');
+  const stepsElement = container.querySelector('.risk-calculator-steps');
+  stepsElement.innerHTML = '';
+
+  if (result.error) {
+    const field = RISK_CALCULATOR_FIELDS.find(item => item.key === result.field);
+    volumeElement.dataset.state = 'error';
+    volumeElement.textContent = uxText('risk.error.' + result.error, { field: field && getRiskFieldLabel(field) });
+    return;
+  }
+
+  // Volumes are shown with as many decimals as the step has
+  const stepDigits = Math.min((String(result.step).split('.')[1] || '').length, 8);
+  const lots = value => formatRiskNumber(value, stepDigits);
+  const money = value => formatRiskNumber(value, 2);
+
+  const step = {
+    balance: money(inputs.balance),
+    percent: inputs.riskPercent,
+    riskMoney: money(result.riskMoney),
+    slPoints: inputs.slPoints,
+    point: inputs.point,
+    tickSize: inputs.tickSize,
+    tickValue: inputs.tickValue,
+    lossPerLot: money(result.lossPerLot),
+    rawVolume: formatRiskNumber(result.rawVolume, 6),
+    volumeMin: inputs.volumeMin,
+    volumeMax: inputs.volumeMax,
+    step: result.step,
+    steps: result.steps,
+    snapped: lots(result.snapped),
+    volume: lots(result.volume)
+  };
+  const lines = [
+    uxText('risk.step.riskMoney', step),
+    uxText('risk.step.lossPerLot', step),
+    uxText('risk.step.rawVolume', step),
+    uxText('risk.step.steps', step) + (result.stepFallback ? uxText('risk.step.stepFallback') : ''),
+    uxText('risk.step.snapped', step),
+    uxText('risk.step.clamp', step)
+  ];
+  lines.forEach(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    stepsElement.appendChild(item);
+  });
+
+  volumeElement.dataset.state = result.clamped ? 'warning' : 'ok';
+  volumeElement.textContent = uxText('risk.result', { volume: lots(result.volume), risk: money(result.actualRisk) });
+
+  if (result.clamped === 'min') {
+    volumeElement.textContent += uxText('risk.clampedMin');
+  } else if (result.clamped === 'max') {
+    volumeElement.textContent += uxText('risk.clampedMax');
+  }
+}
+
+// ============================================================================
+// BOOKMARKS & NOTES - Bookmark sections by heading anchor, with private notes
+// ============================================================================
+
+// Sections that can be bookmarked: headings with a toc permalink
+const BOOKMARK_HEADING_SELECTOR = 'h2[id], h3[id]';
+
+function initBookmarks() {
+  createBookmarksPanel();
+}
+
+function createBookmarksPanel() {
+  // Check if panel already exists
+  if (document.getElementById('bookmarks-float-btn')) return;
+
+  const bookmarksHTML = `
+    <!-- Floating Bookmarks Button -->
+    <button id="bookmarks-float-btn" class="bookmarks-float-btn" aria-haspopup="dialog" title="${uxText('bookmarks.button')}">
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+      </svg>
     </button>
 
-    <!-- Milestone Celebration Modal -->
-    <div id="milestone-modal" class="milestone-modal">
-      <div class="milestone-icon" id="milestone-icon">🎉</div>
-      <h2 class="milestone-title" id="milestone-title">Milestone Reached!</h2>
-      <p class="milestone-message" id="milestone-message">Great progress!</p>
-      <button class="milestone-close" id="milestone-close">Continue Learning</button>
-    </div>
+    <!-- Bookmarks Side Panel -->
+    <div id="bookmarks-panel" class="bookmarks-panel" role="dialog" aria-modal="true"
+         aria-labelledby="bookmarks-panel-title" tabindex="-1">
+      <div class="bookmarks-panel-header">
+        <h3 id="bookmarks-panel-title">${uxText('bookmarks.title')}</h3>
+        <button id="bookmarks-panel-close" class="bookmarks-panel-close" title="${uxText('common.close')}" aria-label="${uxText('common.close')}">&times;</button>
+      </div>
+
+      <div class="bookmarks-panel-content">
+        <input type="search" id="bookmarks-search" class="bookmarks-search"
+               placeholder="${uxText('bookmarks.search')}" autocomplete="off">
+        <p class="bookmarks-hint" id="bookmarks-status"></p>
+        <div id="bookmarks-list" class="bookmarks-list"></div>
+      </div>
+    </div>
+
+    <!-- Bookmarks Overlay -->
+    <div id="bookmarks-overlay" class="progress-overlay"></div>
+  `;
+
+  // Insert at end of body
+  document.body.insertAdjacentHTML('beforeend', bookmarksHTML);
+
+  // Add event listeners
+  document.getElementById('bookmarks-float-btn').addEventListener('click', openBookmarksPanel);
+  document.getElementById('bookmarks-panel-close').addEventListener('click', closeBookmarksPanel);
+  document.getElementById('bookmarks-overlay').addEventListener('click', closeBookmarksPanel);
+  document.getElementById('bookmarks-search').addEventListener('input', renderBookmarks);
+}
+
+function openBookmarksPanel() {
+  const panel = document.getElementById('bookmarks-panel');
+  panel.classList.add('open');
+  document.getElementById('bookmarks-overlay').classList.add('visible');
+  document.body.style.overflow = 'hidden';
+  trapDialog(panel, closeBookmarksPanel);
+
+  renderBookmarks();
+  document.getElementById('bookmarks-search').focus();
+}
+
+function closeBookmarksPanel() {
+  const panel = document.getElementById('bookmarks-panel');
+  panel.classList.remove('open');
+  document.getElementById('bookmarks-overlay').classList.remove('visible');
+  document.body.style.overflow = '';
+  releaseDialog(panel);
+}
+
+function getBookmarkKey(page, anchor) {
+  return page + '#' + anchor;
+}
+
+function mountBookmarkToggles(page) {
+  if (!page.article || !page.path) return;
+
+  const bookmarks = getProgress().bookmarks;
+  const toggles = [];
+  page.article.querySelectorAll(BOOKMARK_HEADING_SELECTOR).forEach(heading => {
+    // Only headings Material gave a permalink to
+    const headerlink = heading.querySelector('a.headerlink');
+    if (!headerlink) return;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'bookmark-toggle';
+    toggle.dataset.anchor = heading.id;
+    setBookmarkToggleState(toggle, !!bookmarks[getBookmarkKey(page.path, heading.id)]);
+    toggle.addEventListener('click', () => toggleBookmark(page.path, heading));
+
+    headerlink.after(toggle);
+    toggles.push(toggle);
+  });
+
+  return () => toggles.forEach(toggle => toggle.remove());
+}
+
+function setBookmarkToggleState(toggle, bookmarked) {
+  // The star is drawn by CSS so heading textContent stays clean for other parsers
+  toggle.setAttribute('aria-pressed', bookmarked ? 'true' : 'false');
+  toggle.title = uxText(bookmarked ? 'bookmarks.remove' : 'bookmarks.add');
+  toggle.setAttribute('aria-label', toggle.title);
+}
+
+function toggleBookmark(page, heading) {
+  const progress = getProgress();
+  const key = getBookmarkKey(page, heading.id);
+
+  if (progress.bookmarks[key]) {
+    delete progress.bookmarks[key];
+  } else {
+    const now = new Date().toISOString();
+    const pageHeading = document.querySelector('.md-content h1');
+    progress.bookmarks[key] = {
+      page: page,
+      anchor: heading.id,
+      title: heading.textContent.replace(/¶/g, '').trim(),
+      pageTitle: pageHeading ? pageHeading.textContent.replace(/¶/g, '').trim() : getPageTitle(page),
+      note: '',
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  saveProgress(progress);
+  refreshBookmarks();
+}
+
+function removeBookmark(key) {
+  const progress = getProgress();
+  delete progress.bookmarks[key];
+  saveProgress(progress);
+  refreshBookmarks();
+}
+
+function saveBookmarkNote(key, note) {
+  const progress = getProgress();
+  const bookmark = progress.bookmarks[key];
+  if (!bookmark) return;
+
+  bookmark.note = note;
+  bookmark.updatedAt = new Date().toISOString();
+  saveProgress(progress);
+}
+
+function refreshBookmarks() {
+  // Stars on the current page
+  const bookmarks = getProgress().bookmarks;
+  const page = getCurrentPagePath();
+  document.querySelectorAll('.bookmark-toggle').forEach(toggle => {
+    setBookmarkToggleState(toggle, !!bookmarks[getBookmarkKey(page, toggle.dataset.anchor)]);
+  });
+
+  // The list, unless a note is being typed in it right now
+  const panel = document.getElementById('bookmarks-panel');
+  const editing = document.activeElement && document.activeElement.classList.contains('bookmark-note');
+  if (panel && panel.classList.contains('open') && !editing) {
+    renderBookmarks();
+  }
+}
+
+function getBookmarkCategory(page) {
+  const structure = getDocStructure();
+  const key = Object.keys(structure).find(k => structure[k].pages.includes(page));
+  if (key) return { key: key, name: uxTextOr('category.' + key, structure[key].name) };
+
+  // Page no longer in the catalogue - group it the way the catalogue would
+  const rule = CATEGORY_RULES.find(r => r.match(page));
+  return rule
+    ? { key: rule.key, name: uxTextOr('category.' + rule.key, rule.name) }
+    : { key: 'other', name: uxText('bookmarks.other') };
+}
+
+function renderBookmarks() {
+  const list = document.getElementById('bookmarks-list');
+  const status = document.getElementById('bookmarks-status');
+  if (!list) return;
+
+  const query = document.getElementById('bookmarks-search').value.trim().toLowerCase();
+  const bookmarks = getProgress().bookmarks;
+  const keys = Object.keys(bookmarks);
+  const matches = keys.filter(key => {
+    if (!query) return true;
+    const bookmark = bookmarks[key];
+    return [bookmark.title, bookmark.pageTitle, bookmark.note, bookmark.page]
+      .some(text => (text || '').toLowerCase().includes(query));
+  });
+
+  list.innerHTML = '';
+  if (keys.length === 0) {
+    status.textContent = uxText('bookmarks.empty');
+    return;
+  }
+  status.textContent = query
+    ? uxText('bookmarks.matches', { count: matches.length, total: keys.length })
+    : uxText('bookmarks.count', { count: keys.length });
+
+  // Group by category, in catalogue order
+  const categoryOrder = Object.keys(getDocStructure());
+  const groups = {};
+  matches.forEach(key => {
+    const category = getBookmarkCategory(bookmarks[key].page);
+    if (!groups[category.key]) groups[category.key] = { name: category.name, keys: [] };
+    groups[category.key].keys.push(key);
+  });
+
+  const rank = key => {
+    const index = categoryOrder.indexOf(key);
+    return index === -1 ? categoryOrder.length : index;
+  };
+  Object.keys(groups).sort((a, b) => rank(a) - rank(b)).forEach(categoryKey => {
+    const group = groups[categoryKey];
+    const section = document.createElement('div');
+    section.className = 'bookmarks-group';
+    section.innerHTML = '<div class="bookmarks-group-title"></div>';
+    section.querySelector('.bookmarks-group-title').textContent = group.name;
+
+    group.keys
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(key => section.appendChild(renderBookmarkItem(key, bookmarks[key])));
+    list.appendChild(section);
+  });
+}
+
+function renderBookmarkItem(key, bookmark) {
+  const item = document.createElement('div');
+  item.className = 'bookmark-item';
+  item.innerHTML = `
+    <div class="bookmark-item-header">
+      <a class="bookmark-link"></a>
+      <button type="button" class="bookmark-remove" title="${uxText('bookmarks.remove')}" aria-label="${uxText('bookmarks.remove')}">&times;</button>
+    </div>
+    <div class="bookmark-page"></div>
+    <textarea class="bookmark-note" rows="2" placeholder="${uxText('bookmarks.note')}"></textarea>
+  `;
+
+  const link = item.querySelector('.bookmark-link');
+  link.href = getPageUrl(bookmark.page) + '#' + encodeURIComponent(bookmark.anchor);
+  link.textContent = bookmark.title || bookmark.anchor;
+  link.addEventListener('click', closeBookmarksPanel);
+
+  item.querySelector('.bookmark-page').textContent = bookmark.pageTitle || getPageTitle(bookmark.page);
+
+  const note = item.querySelector('.bookmark-note');
+  note.value = bookmark.note || '';
+  note.setAttribute('aria-label', uxText('bookmarks.noteFor', { title: link.textContent }));
+  note.addEventListener('input', () => saveBookmarkNote(key, note.value));
+
+  item.querySelector('.bookmark-remove').addEventListener('click', () => removeBookmark(key));
+  return item;
+}
+
+// ============================================================================
+// QUIZZES - Self-check questions declared in markdown, graded in the browser
+// ============================================================================
+
+// Markup (md_in_html): a .quiz div holding .quiz-question divs. Each question
+// is a prompt, a list of options, and optional text after the list that
+// explains the answer. data-answer is the 1-based option number or the start
+// of the option's text, e.g. data-answer="10019" for a RetCode option.
+const QUIZ_KINDS = {
+  choice: 'Multiple choice',
+  retcode: 'Which RetCode?',
+  layer: 'Which layer?'
+};
+
+// Options of a "which layer" question that lists none
+const QUIZ_LAYERS = ['MT5Account', 'MT5Service', 'MT5Sugar'];
+
+// Default for extra.ux.quizzes.pass_ratio in mkdocs.yml
+const QUIZ_DEFAULT_PASS_RATIO = 0.8;
+
+function getQuizConfig() {
+  const quizzes = getUxConfig().quizzes || {};
+  const passRatio = quizzes.pass_ratio;
+
+  return {
+    passRatio: typeof passRatio === 'number' && passRatio > 0 && passRatio <= 1 ? passRatio : QUIZ_DEFAULT_PASS_RATIO,
+    required: quizzes.required && typeof quizzes.required === 'object' ? quizzes.required : {}
+  };
+}
+
+function mountQuizzes(page) {
+  if (!page.article || !page.path) return;
+  page.article.querySelectorAll('.quiz').forEach((container, index) => {
+    mountQuiz(container, container.dataset.quiz || `${page.path}#quiz-${index + 1}`, page.path);
+  });
+}
+
+function mountQuiz(container, id, page) {
+  if (container.dataset.mounted) return;
+  container.dataset.mounted = 'true';
+
+  const questions = Array.from(container.querySelectorAll('.quiz-question'))
+    .map((element, index) => buildQuizQuestion(element, `quiz-${id}-${index}`))
+    .filter(Boolean);
+  if (questions.length === 0) return;
+
+  // A quiz may ask for more or less than the site-wide pass ratio
+  const passRatio = parseFloat(container.dataset.pass);
+  const quiz = {
+    id: id,
+    page: page,
+    container: container,
+    questions: questions,
+    passRatio: passRatio > 0 && passRatio <= 1 ? passRatio : getQuizConfig().passRatio
+  };
+
+  container.insertAdjacentHTML('beforeend', `
+    <div class="quiz-actions">
+      <button type="button" class="quiz-check">${uxText('quiz.check')}</button>
+      <button type="button" class="quiz-retry" hidden>${uxText('quiz.retry')}</button>
+      <span class="quiz-result" role="status"></span>
+    </div>
+  `);
+  container.querySelector('.quiz-check').addEventListener('click', () => gradeQuiz(quiz));
+  container.querySelector('.quiz-retry').addEventListener('click', () => resetQuiz(quiz));
+
+  showQuizRecord(quiz);
+}
+
+function buildQuizQuestion(element, name) {
+  const kind = QUIZ_KINDS[element.dataset.kind] ? element.dataset.kind : 'choice';
+  const list = element.querySelector('ol, ul');
+
+  const options = list
+    ? Array.from(list.children).map(item => ({ html: item.innerHTML, text: item.textContent.trim() }))
+    : [];
+  if (options.length === 0 && kind === 'layer') {
+    QUIZ_LAYERS.forEach(layer => options.push({ html: `<code>${layer}</code>`, text: layer }));
+  }
+
+  const correct = findQuizAnswer(element.dataset.answer, options);
+  if (correct === -1) {
+    console.warn('Quiz question has no option matching data-answer:', element);
+    return null;
+  }
+
+  // Whatever follows the options is the explanation, shown after grading
+  const explanation = document.createElement('div');
+  explanation.className = 'quiz-explanation';
+  explanation.hidden = true;
+  while (list && list.nextSibling) {
+    explanation.appendChild(list.nextSibling);
+  }
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'quiz-options';
+  fieldset.innerHTML = '<legend class="quiz-kind"></legend>';
+  fieldset.querySelector('legend').textContent = uxTextOr('quiz.kind.' + kind, QUIZ_KINDS[kind]);
+  options.forEach((option, index) => {
+    const label = document.createElement('label');
+    label.className = 'quiz-option';
+    label.innerHTML = `<input type="radio" value="${index}"><span>${option.html}</span>`;
+    label.querySelector('input').name = name;
+    fieldset.appendChild(label);
+  });
+
+  if (list) {
+    list.replaceWith(fieldset);
+  } else {
+    element.appendChild(fieldset);
+  }
+  element.appendChild(explanation);
+
+  return {
+    element: element,
+    fieldset: fieldset,
+    explanation: explanation,
+    kind: kind,
+    correct: correct,
+    answerText: options[correct].text
+  };
+}
+
+function findQuizAnswer(answer, options) {
+  const value = (answer || '').trim();
+  if (!value) return -1;
+
+  const number = Number(value);
+  if (/^\d+$/.test(value) && number >= 1 && number <= options.length) return number - 1;
+
+  const lower = value.toLowerCase();
+  return options.findIndex(option => option.text.toLowerCase().startsWith(lower));
+}
+
+function gradeQuiz(quiz) {
+  const result = quiz.container.querySelector('.quiz-result');
+  const answers = quiz.questions.map(question =>
+    Array.from(question.fieldset.querySelectorAll('input')).findIndex(input => input.checked)
+  );
+
+  const unanswered = answers.filter(answer => answer === -1).length;
+  if (unanswered > 0) {
+    const first = answers.indexOf(-1);
+    result.textContent = unanswered === 1
+      ? uxText('quiz.answerQuestion', { number: first + 1 })
+      : uxText('quiz.answerAll', { count: quiz.questions.length });
+
+    // Take the reader to the first question still open
+    quiz.questions[first].fieldset.querySelector('input').focus();
+    return;
+  }
+
+  let score = 0;
+  quiz.questions.forEach((question, index) => {
+    const chosen = answers[index];
+    if (chosen === question.correct) score++;
+
+    question.fieldset.querySelectorAll('input').forEach((input, option) => {
+      input.disabled = true;
+      const label = input.closest('.quiz-option');
+      if (option === question.correct) label.dataset.result = 'correct';
+      else if (option === chosen) label.dataset.result = 'wrong';
+    });
+
+    question.element.dataset.result = chosen === question.correct ? 'correct' : 'wrong';
+    question.explanation.hidden = false;
+    if (question.kind === 'retcode') explainRetCodeAnswer(question);
+  });
+
+  const total = quiz.questions.length;
+  const passed = score / total >= quiz.passRatio;
+  recordQuizResult(quiz, score, total, passed);
+
+  quiz.container.querySelector('.quiz-check').hidden = true;
+  quiz.container.querySelector('.quiz-retry').hidden = false;
+  result.textContent = uxText('quiz.score', { score: score, total: total }) + ' — ' +
+    (passed ? uxText('quiz.passed') : uxText('quiz.needed', { count: Math.ceil(quiz.passRatio * total) }));
+
+  updateProgressDisplay();
+}
+
+function resetQuiz(quiz) {
+  quiz.questions.forEach(question => {
+    question.fieldset.querySelectorAll('input').forEach(input => {
+      input.checked = false;
+      input.disabled = false;
+      delete input.closest('.quiz-option').dataset.result;
+    });
+    delete question.element.dataset.result;
+    question.explanation.hidden = true;
+  });
+
+  quiz.container.querySelector('.quiz-check').hidden = false;
+  quiz.container.querySelector('.quiz-retry').hidden = true;
+  showQuizRecord(quiz);
+}
+
+function explainRetCodeAnswer(question) {
+  const code = (question.answerText.match(/\b\d{5}\b/) || [])[0];
+  if (!code || question.explanation.querySelector('.quiz-retcode')) return;
+
+  // Same source as the RetCode lookup panel
+  (retCodes ? Promise.resolve(retCodes) : loadRetCodes()).then(codes => {
+    const match = codes.find(entry => String(entry.code) === code);
+    if (!match || !question.element.isConnected || question.explanation.querySelector('.quiz-retcode')) return;
+
+    const note = document.createElement('p');
+    note.className = 'quiz-retcode';
+    note.textContent = `${match.code} ${match.name} — ${match.description}`;
+    question.explanation.appendChild(note);
+  });
+}
+
+function recordQuizResult(quiz, score, total, passed) {
+  const progress = getProgress();
+  const previous = progress.quizzes[quiz.id] || {};
+
+  progress.quizzes[quiz.id] = {
+    page: quiz.page,
+    score: score,
+    total: total,
+    bestScore: Math.max(previous.bestScore || 0, score),
+    passed: !!(previous.passed || passed),
+    attempts: (previous.attempts || 0) + 1,
+    takenAt: new Date().toISOString()
+  };
+  saveProgress(progress);
+}
+
+function showQuizRecord(quiz) {
+  const record = getProgress().quizzes[quiz.id];
+  const result = quiz.container.querySelector('.quiz-result');
+
+  result.textContent = record
+    ? [
+      uxText('quiz.best', { score: record.bestScore, total: record.total }),
+      record.passed ? uxText('quiz.passed') : null,
+      uxText('quiz.attempts', { count: record.attempts })
+    ].filter(Boolean).join(' · ')
+    : '';
+}
+
+// ============================================================================
+// OFFLINE DOCS - Service worker that keeps the catalogue readable offline
+// ============================================================================
+
+// docs/sw.js, at the site root so its scope covers every page
+const OFFLINE_WORKER_PATH = 'sw.js';
+
+function isOfflineSupported() {
+  return getUxConfig().offline !== false && window.isSecureContext &&
+    'serviceWorker' in navigator && 'caches' in window;
+}
+
+function initOfflineDocs() {
+  if (!isOfflineSupported()) return;
+
+  navigator.serviceWorker.register(getSiteRootUrl() + OFFLINE_WORKER_PATH)
+    .catch(error => console.error('Failed to register the offline worker:', error));
+  navigator.serviceWorker.addEventListener('message', onOfflineWorkerMessage);
+
+  const section = document.getElementById('progress-offline-section');
+  if (section) {
+    section.hidden = false;
+    document.getElementById('progress-offline-btn').addEventListener('click', makeAllAvailableOffline);
+  }
+}
+
+function mountOfflineMarkers() {
+  if (isOfflineSupported()) updateOfflineStatus();
+}
+
+function getOfflinePageUrls() {
+  const pages = ['index'].concat(getCataloguePages().filter(page => page !== 'index'));
+  return pages.map(page => getPageUrl(page));
+}
+
+function getOfflineUrls() {
+  // Pages plus what this page loaded: Material's bundles, fonts and icons
+  // were fetched before the worker took over and are not cached yet
+  const root = getSiteRootUrl();
+  const assets = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href], link[rel~="icon"][href], script[src]'))
+    .map(element => element.href || element.src);
+  const resources = window.performance && performance.getEntriesByType
+    ? performance.getEntriesByType('resource').map(entry => entry.name)
+    : [];
+
+  const urls = getOfflinePageUrls().concat(assets, resources)
+    .map(url => url.split('#')[0])
+    .filter(url => url.startsWith(root));
+  return Array.from(new Set(urls));
+}
+
+function updateOfflineStatus() {
+  const pageUrls = getOfflinePageUrls();
+
+  return Promise.all(pageUrls.map(url => caches.match(url).then(cached => !!cached)))
+    .then(results => {
+      const cached = new Set(pageUrls.filter((url, i) => results[i]));
+
+      const text = document.getElementById('progress-offline-text');
+      const button = document.getElementById('progress-offline-btn');
+      if (text && !button.disabled) {
+        text.textContent = uxText('offline.status', { cached: cached.size, total: pageUrls.length });
+      }
+
+      // Mark sidebar links to pages the worker can serve without a connection
+      document.querySelectorAll(NAV_PAGE_LINK_SELECTOR).forEach(link => {
+        if (link.closest('.md-nav--secondary')) return;
+
+        const url = new URL(link.getAttribute('href'), window.location.href);
+        const available = cached.has(url.origin + url.pathname);
+        let marker = link.querySelector(':scope > .nav-offline-marker');
+
+        if (available && !marker) {
+          marker = document.createElement('span');
+          marker.className = 'nav-offline-marker';
+          marker.setAttribute('role', 'img');
+          marker.title = uxText('offline.available');
+          marker.setAttribute('aria-label', marker.title);
+          link.insertBefore(marker, link.querySelector(':scope > .nav-progress-marker'));
+        } else if (!available && marker) {
+          marker.remove();
+        }
+      });
+    })
+    .catch(error => console.error('Failed to read the offline cache:', error));
+}
+
+function makeAllAvailableOffline() {
+  const button = document.getElementById('progress-offline-btn');
+  const urls = getOfflineUrls();
+
+  button.disabled = true;
+  document.getElementById('progress-offline-text').textContent =
+    uxText('offline.caching', { done: 0, total: urls.length });
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.active.postMessage({ type: 'cache-urls', urls: urls }))
+    .catch(error => {
+      console.error('Offline worker is not available:', error);
+      button.disabled = false;
+    });
+}
+
+function onOfflineWorkerMessage(e) {
+  const data = e.data || {};
+  const text = document.getElementById('progress-offline-text');
+  if (!text) return;
+
+  if (data.type === 'cache-progress') {
+    text.textContent = uxText('offline.caching', { done: data.done, total: data.total });
+  } else if (data.type === 'cache-done') {
+    document.getElementById('progress-offline-btn').disabled = false;
+    updateOfflineStatus().then(() => {
+      if (data.failed > 0) text.textContent += ' ' + uxText('offline.failed', { count: data.failed });
+    });
+  }
+}
+
+// ============================================================================
+// ORCHESTRATOR CHARTS - Pending orders of grid and straddle orchestrators
+// ============================================================================
+
+// Mounted from markdown with <div class="orchestrator-chart" data-strategy="grid" markdown>.
+// Parameters are data attributes (data-spacing-points="20"); an ordered list
+// inside the div describes the phases, one item per phase
+const ORCHESTRATOR_FIELDS = [
+  { key: 'price', label: 'Bid price', value: 1.1 },
+  { key: 'spreadPoints', label: 'Spread (points)', value: 2 },
+  { key: 'levels', label: 'Grid levels', value: 3, strategies: ['grid'] },
+  { key: 'spacingPoints', label: 'Spacing (points)', value: 20, strategies: ['grid'] },
+  { key: 'distancePoints', label: 'Distance (points)', value: 15, strategies: ['straddle'] },
+  { key: 'volume', label: 'Volume (lots)', value: 0.01 },
+  { key: 'slPoints', label: 'Stop loss (points)', value: 50 },
+  { key: 'tpPoints', label: 'Take profit (points)', value: 30 },
+  { key: 'leverage', label: 'Leverage (1:N)', value: 100 }
+];
+
+const ORCHESTRATOR_MAX_LEVELS = 10;
+const ORCHESTRATOR_PLAY_MS = 2500;
+
+// Order states per phase: pending, filled, closed or cancelled; orders a
+// phase leaves out are not placed yet
+const ORCHESTRATOR_STRATEGIES = {
+  grid: {
+    name: 'GridTradingOrchestrator',
+    defaults: { volume: 0.01, slPoints: 50, tpPoints: 30 },
+    // BuyLimitPoints() offsets from Ask, SellLimitPoints() from Bid
+    buildOrders: (params, point) => {
+      const orders = [];
+      for (let i = 1; i <= params.levels; i++) {
+        const price = params.ask - i * params.spacingPoints * point;
+        orders.push({ id: 'B' + i, type: 'BUY LIMIT', side: 'buy', price: price });
+      }
+      for (let i = 1; i <= params.levels; i++) {
+        const price = params.price + i * params.spacingPoints * point;
+        orders.push({ id: 'S' + i, type: 'SELL LIMIT', side: 'sell', price: price });
+      }
+      return orders;
+    },
+    phases: [
+      { id: 'init', title: 'Initialization', at: () => ({}) },
+      { id: 'buyLimits', title: 'Buy Limit ladder', at: orders => orderStates(orders, order => order.side === 'buy' && 'pending') },
+      { id: 'sellLimits', title: 'Sell Limit ladder', at: orders => orderStates(orders, () => 'pending') },
+      {
+        id: 'monitor',
+        title: 'Monitoring',
+        // Price dips to the first Buy Limit: Ask reaches it and it fills
+        bid: (orders, params) => orders[0].price - (params.ask - params.price),
+        at: orders => orderStates(orders, order => order.id === 'B1' ? 'filled' : 'pending')
+      },
+      { id: 'close', title: 'CloseAll', at: orders => orderStates(orders, order => order.id === 'B1' ? 'closed' : 'cancelled') }
+    ]
+  },
+  straddle: {
+    name: 'NewsStraddleOrchestrator',
+    defaults: { volume: 0.02, slPoints: 20, tpPoints: 40 },
+    // BuyStopPoints() above Ask, SellStopPoints() below Bid
+    buildOrders: (params, point) => [
+      { id: 'BUY', type: 'BUY STOP', side: 'buy', price: params.ask + params.distancePoints * point },
+      { id: 'SELL', type: 'SELL STOP', side: 'sell', price: params.price - params.distancePoints * point }
+    ],
+    phases: [
+      { id: 'init', title: 'Initialization', at: () => ({}) },
+      { id: 'countdown', title: 'Countdown to the news', at: () => ({}) },
+      { id: 'straddle', title: 'Straddle placed', at: orders => orderStates(orders, () => 'pending') },
+      {
+        id: 'breakout',
+        title: 'Breakout',
+        // Price jumps up: Ask reaches the Buy Stop
+        bid: (orders, params) => orders[0].price - (params.ask - params.price),
+        at: orders => orderStates(orders, order => order.side === 'buy' ? 'filled' : 'pending')
+      },
+      {
+        id: 'oco',
+        title: 'Opposite order canceled',
+        bid: (orders, params) => orders[0].price - (params.ask - params.price),
+        at: orders => orderStates(orders, order => order.side === 'buy' ? 'filled' : 'cancelled')
+      },
+      { id: 'close', title: 'CloseAll', at: orders => orderStates(orders, order => order.side === 'buy' ? 'closed' : 'cancelled') }
+    ]
+  }
+};
+
+function orderStates(orders, getState) {
+  const states = {};
+  orders.forEach(order => {
+    const state = getState(order);
+    if (state) states[order.id] = state;
+  });
+  return states;
+}
+
+function getOrchestratorFieldLabel(field) {
+  return uxTextOr('orchestrator.field.' + field.key, field.label);
+}
+
+function mountOrchestratorCharts(page) {
+  if (!page.article) return;
+
+  const charts = [];
+  page.article.querySelectorAll('.orchestrator-chart').forEach(container => {
+    const chart = mountOrchestratorChart(container);
+    if (chart) charts.push(chart);
+  });
+
+  // Stop replays still running when the page goes
+  return () => charts.forEach(chart => clearInterval(chart.timer));
+}
+
+function mountOrchestratorChart(container) {
+  if (container.dataset.mounted) return null;
+
+  const strategy = ORCHESTRATOR_STRATEGIES[container.dataset.strategy];
+  if (!strategy) {
+    console.error('Unknown orchestrator chart strategy:', container.dataset.strategy);
+    return null;
+  }
+  container.dataset.mounted = 'true';
+
+  // Phase descriptions written in the page, in phase order
+  const list = container.querySelector('ol');
+  const descriptions = list ? Array.from(list.children).map(item => item.innerHTML) : [];
+
+  const chart = {
+    container: container,
+    strategy: strategy,
+    descriptions: descriptions,
+    digits: parseInt(container.dataset.digits, 10) || 5,
+    contractSize: parseFloat(container.dataset.contractSize) || 100000,
+    phase: 0,
+    timer: null
+  };
+
+  const id = 'orchestrator-chart-' + document.querySelectorAll('.orchestrator-chart[data-mounted]').length;
+  container.innerHTML = `
+    <div class="orchestrator-chart-title"></div>
+    <form class="risk-calculator-form orchestrator-chart-form"></form>
+    <div class="orchestrator-chart-canvas"></div>
+    <div class="orchestrator-chart-controls">
+      <button type="button" class="orchestrator-chart-btn" data-step="-1">${uxText('orchestrator.back')}</button>
+      <button type="button" class="orchestrator-chart-btn" data-play>${uxText('orchestrator.play')}</button>
+      <button type="button" class="orchestrator-chart-btn" data-step="1">${uxText('orchestrator.next')}</button>
+      <span class="orchestrator-chart-counter"></span>
+    </div>
+    <div class="orchestrator-chart-phase" aria-live="polite">
+      <strong class="orchestrator-chart-phase-title"></strong>
+      <div class="orchestrator-chart-phase-text"></div>
+    </div>
+    <dl class="orchestrator-chart-summary"></dl>
+  `;
+  container.querySelector('.orchestrator-chart-title').textContent =
+    uxText('orchestrator.title', { name: strategy.name });
+
+  const form = container.querySelector('.orchestrator-chart-form');
+  ORCHESTRATOR_FIELDS
+    .filter(field => !field.strategies || field.strategies.includes(container.dataset.strategy))
+    .forEach(field => {
+      const preset = parseFloat(container.dataset[field.key]);
+      const fallback = field.key in strategy.defaults ? strategy.defaults[field.key] : field.value;
+      const label = document.createElement('label');
+      label.innerHTML = `<span></span><input type="number" step="any" min="0">`;
+      label.querySelector('span').textContent = getOrchestratorFieldLabel(field);
+
+      const input = label.querySelector('input');
+      input.id = `${id}-${field.key}`;
+      input.name = field.key;
+      input.value = isNaN(preset) ? fallback : preset;
+      form.appendChild(label);
+    });
+
+  form.addEventListener('submit', e => e.preventDefault());
+  form.addEventListener('input', () => renderOrchestratorChart(chart));
+
+  container.querySelectorAll('[data-step]').forEach(button => {
+    button.addEventListener('click', () => {
+      stopOrchestratorReplay(chart);
+      showOrchestratorPhase(chart, chart.phase + Number(button.dataset.step));
+    });
+  });
+  container.querySelector('[data-play]').addEventListener('click', () => toggleOrchestratorReplay(chart));
+
+  renderOrchestratorChart(chart);
+  return chart;
+}
+
+function readOrchestratorParams(chart) {
+  const params = {};
+  chart.container.querySelectorAll('.orchestrator-chart-form input').forEach(input => {
+    params[input.name] = parseFloat(input.value);
+  });
+
+  const invalid = ORCHESTRATOR_FIELDS.find(field => field.key in params && !(params[field.key] >= 0));
+  if (invalid) return { error: uxText('orchestrator.error.notNumber', { field: getOrchestratorFieldLabel(invalid) }) };
+  if (!(params.price > 0) || !(params.volume > 0) || !(params.leverage > 0)) {
+    return { error: uxText('orchestrator.error.positive') };
+  }
+
+  if ('levels' in params) {
+    params.levels = Math.min(Math.max(Math.round(params.levels), 1), ORCHESTRATOR_MAX_LEVELS);
+  }
+  params.ask = params.price + params.spreadPoints * Math.pow(10, -chart.digits);
+  return params;
+}
+
+function calculateOrchestratorOrders(chart, params) {
+  const point = Math.pow(10, -chart.digits);
+
+  // SL/TP points are measured from the order price, away from / towards profit
+  return chart.strategy.buildOrders(params, point).map(order => {
+    const direction = order.side === 'buy' ? 1 : -1;
+    return Object.assign(order, {
+      volume: params.volume,
+      sl: order.price - direction * params.slPoints * point,
+      tp: order.price + direction * params.tpPoints * point
+    });
+  });
+}
+
+function summarizeOrchestratorOrders(chart, params, orders) {
+  const point = Math.pow(10, -chart.digits);
+  const sum = (side, value) => orders
+    .filter(order => !side || order.side === side)
+    .reduce((total, order) => total + value(order), 0);
+
+  // Quote-currency amounts, i.e. account currency for USD-quoted symbols
+  return {
+    buyLots: sum('buy', order => order.volume),
+    sellLots: sum('sell', order => order.volume),
+    notional: sum(null, order => order.volume * chart.contractSize * order.price),
+    margin: sum(null, order => order.volume * chart.contractSize * order.price / params.leverage),
+    maxLoss: sum(null, () => params.volume * chart.contractSize * params.slPoints * point),
+    maxProfit: sum(null, () => params.volume * chart.contractSize * params.tpPoints * point)
+  };
+}
+
+function renderOrchestratorChart(chart) {
+  const params = readOrchestratorParams(chart);
+  const canvas = chart.container.querySelector('.orchestrator-chart-canvas');
+  const summary = chart.container.querySelector('.orchestrator-chart-summary');
+
+  if (params.error) {
+    canvas.innerHTML = '';
+    canvas.dataset.state = 'error';
+    canvas.textContent = params.error;
+    summary.innerHTML = '';
+    return;
+  }
+  delete canvas.dataset.state;
+
+  chart.params = params;
+  chart.orders = calculateOrchestratorOrders(chart, params);
+
+  const totals = summarizeOrchestratorOrders(chart, params, chart.orders);
+  const lots = value => formatRiskNumber(value, 2);
+  const money = value => formatRiskNumber(value, 2);
+  const rows = [
+    [uxText('orchestrator.summary.orders'), uxText('orchestrator.summary.ordersValue', {
+      count: chart.orders.length, buy: lots(totals.buyLots), sell: lots(totals.sellLots)
+    })],
+    [uxText('orchestrator.summary.exposure'), uxText('orchestrator.summary.exposureValue', {
+      net: lots(totals.buyLots - totals.sellLots), notional: money(totals.notional)
+    })],
+    [uxText('orchestrator.summary.margin'), money(totals.margin)],
+    [uxText('orchestrator.summary.maxLoss'), money(totals.maxLoss)],
+    [uxText('orchestrator.summary.maxProfit'), money(totals.maxProfit)]
+  ];
+  summary.innerHTML = '';
+  rows.forEach(([term, value]) => {
+    const dt = document.createElement('dt');
+    const dd = document.createElement('dd');
+    dt.textContent = term;
+    dd.textContent = value;
+    summary.append(dt, dd);
+  });
+
+  showOrchestratorPhase(chart, chart.phase);
+}
+
+function showOrchestratorPhase(chart, index) {
+  const phases = chart.strategy.phases;
+  chart.phase = Math.min(Math.max(index, 0), phases.length - 1);
+  if (!chart.orders) return;
+
+  const phase = phases[chart.phase];
+  const bid = phase.bid ? phase.bid(chart.orders, chart.params) : chart.params.price;
+  const states = phase.at(chart.orders, chart.params);
+
+  chart.container.querySelector('.orchestrator-chart-canvas').innerHTML =
+    drawOrchestratorChart(chart, bid, states);
+
+  chart.container.querySelector('.orchestrator-chart-counter').textContent =
+    uxText('orchestrator.phase', { index: chart.phase + 1, count: phases.length });
+  chart.container.querySelector('.orchestrator-chart-phase-title').textContent =
+    uxTextOr('orchestrator.phase.' + phase.id, phase.title);
+  chart.container.querySelector('.orchestrator-chart-phase-text').innerHTML = chart.descriptions[chart.phase] || '';
+
+  chart.container.querySelector('[data-step="-1"]').disabled = chart.phase === 0;
+  chart.container.querySelector('[data-step="1"]').disabled = chart.phase === phases.length - 1;
+}
+
+function toggleOrchestratorReplay(chart) {
+  if (chart.timer) {
+    stopOrchestratorReplay(chart);
+    return;
+  }
+
+  // Replay from the start unless stopped half-way
+  if (chart.phase === chart.strategy.phases.length - 1) showOrchestratorPhase(chart, 0);
+  chart.container.querySelector('[data-play]').textContent = uxText('orchestrator.pause');
+  chart.timer = setInterval(() => {
+    showOrchestratorPhase(chart, chart.phase + 1);
+    if (chart.phase === chart.strategy.phases.length - 1) stopOrchestratorReplay(chart);
+  }, ORCHESTRATOR_PLAY_MS);
+}
+
+function stopOrchestratorReplay(chart) {
+  clearInterval(chart.timer);
+  chart.timer = null;
+  chart.container.querySelector('[data-play]').textContent = uxText('orchestrator.play');
+}
+
+function drawOrchestratorChart(chart, bid, states) {
+  const width = 640;
+  const height = 320;
+  const margin = { top: 16, right: 16, bottom: 28, left: 76 };
+  const orders = chart.orders;
+  const spread = chart.params.ask - chart.params.price;
+
+  // Price axis covers every SL/TP and the moving price, with some room
+  const prices = [bid, bid + spread].concat(...orders.map(order => [order.sl, order.tp]));
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const pad = (high - low) * 0.08 || Math.pow(10, -chart.digits) * 10;
+  const y = price => margin.top +
+    (high + pad - price) / (high - low + 2 * pad) * (height - margin.top - margin.bottom);
+
+  const column = (width - margin.left - margin.right) / Math.max(orders.length, 1);
+  const format = price => price.toFixed(chart.digits);
+  const parts = [];
+
+  // Bid and Ask across the chart
+  [['bid', bid], ['ask', bid + spread]].forEach(([kind, price]) => {
+    parts.push(`<line class="orchestrator-price orchestrator-${kind}" x1="${margin.left}" x2="${width - margin.right}" ` +
+      `y1="${y(price)}" y2="${y(price)}"></line>`);
+    parts.push(`<text class="orchestrator-axis-label" x="${margin.left - 6}" y="${y(price) + (kind === 'ask' ? -3 : 10)}" ` +
+      `text-anchor="end">${kind === 'ask' ? 'Ask' : 'Bid'} ${format(price)}</text>`);
+  });
+
+  // One column per order: SL-TP range, entry mark and label
+  orders.forEach((order, i) => {
+    const state = states[order.id];
+    const x = margin.left + column * (i + 0.5);
+    const barWidth = Math.min(column * 0.5, 28);
+    const top = Math.min(y(order.sl), y(order.tp));
+    const title = `${order.id} ${order.type} ${order.volume} @ ${format(order.price)} · SL ${format(order.sl)} · TP ${format(order.tp)}`;
+
+    parts.push(`<g class="orchestrator-order" data-side="${order.side}" data-state="${state || 'planned'}">`);
+    parts.push(`<title>${title}${state ? ' · ' + uxText('orchestrator.state.' + state) : ''}</title>`);
+    parts.push(`<rect class="orchestrator-range" x="${x - barWidth / 2}" y="${top}" width="${barWidth}" ` +
+      `height="${Math.abs(y(order.sl) - y(order.tp))}" rx="3"></rect>`);
+    parts.push(`<line class="orchestrator-sl" x1="${x - barWidth / 2}" x2="${x + barWidth / 2}" y1="${y(order.sl)}" y2="${y(order.sl)}"></line>`);
+    parts.push(`<line class="orchestrator-tp" x1="${x - barWidth / 2}" x2="${x + barWidth / 2}" y1="${y(order.tp)}" y2="${y(order.tp)}"></line>`);
+    parts.push(`<line class="orchestrator-entry" x1="${x - barWidth / 2 - 6}" x2="${x + barWidth / 2 + 6}" ` +
+      `y1="${y(order.price)}" y2="${y(order.price)}"></line>`);
+    parts.push(`<text class="orchestrator-order-label" x="${x}" y="${height - 10}" text-anchor="middle">${order.id}</text>`);
+    parts.push('</g>');
+  });
+
+  return `<svg class="orchestrator-svg" viewBox="0 0 ${width} ${height}" role="img" ` +
+    `aria-label="${uxText('orchestrator.chartLabel', { name: chart.strategy.name })}">${parts.join('')}</svg>`;
+}
+
+// ============================================================================
+// CONFIG BUILDER - Validated MT5 section of Config/appsettings.json
+// ============================================================================
 
-    <!-- Confetti Container -->
-    <div id="confetti-container" class="confetti-container"></div>
+// Mounted from markdown with <div class="config-builder"></div>. Values live in
+// the form only: nothing is saved, and the JSON leaves the page only through
+// the reader's own copy or download
+const CONFIG_BUILDER_FIELDS = [
+  { key: 'User', type: 'text', inputmode: 'numeric', value: '' },
+  { key: 'Password', type: 'password', value: '' },
+  { key: 'ServerName', type: 'text', value: '', placeholder: 'FxPro-MT5 Demo' },
+  { key: 'Host', type: 'text', value: 'mt5.mrpc.pro' },
+  { key: 'Port', type: 'text', inputmode: 'numeric', value: '443' },
+  { key: 'GrpcServer', type: 'text', value: 'https://mt5.mrpc.pro:443' },
+  { key: 'BaseChartSymbol', type: 'text', value: 'EURUSD' },
+  { key: 'InstanceId', type: 'text', value: '', placeholder: 'null' },
+  { key: 'ConnectTimeoutSeconds', type: 'text', inputmode: 'numeric', value: '120' }
+];
 
-    <!-- Side Panel -->
-    <div id="progress-panel" class="progress-panel">
-      <div class="progress-panel-header">
-        <h3>📊 Learning Progress</h3>
-        <button id="progress-panel-close" class="progress-panel-close" title="Close">&times;</button>
-      </div>
+const CONFIG_TIMEOUT_MIN = 5;
+const CONFIG_TIMEOUT_MAX = 600;
+const CONFIG_PASSWORD_MASK = '********';
+const CONFIG_MAX_LOGIN = BigInt('18446744073709551615'); // ulong.MaxValue
 
-      <div class="progress-panel-content">
-        <div class="progress-overall-section">
-          <div class="progress-stats">
-            <span class="progress-count" id="overall-progress-text">0 / 119</span>
-            <span class="progress-percentage" id="overall-progress-pct">0%</span>
-          </div>
-          <div class="progress-bar-wrapper">
-            <div class="progress-bar-fill" id="overall-progress-fill"></div>
-          </div>
-          <p class="progress-subtitle">Total Documentation Pages</p>
-        </div>
+// ConnectionHelper skips Host:Port for the gateway and needs ServerName then.
+// Any other Host is the broker's own address, while GrpcServer stays the gateway
+const CONFIG_GATEWAY_HOST = 'mrpc.pro';
 
-        <div class="progress-categories-section">
-          <h4>By Category</h4>
-          <div id="progress-categories"></div>
-        </div>
+function mountConfigBuilders(page) {
+  if (!page.article) return;
+  page.article.querySelectorAll('.config-builder').forEach(mountConfigBuilder);
+}
 
-        <button id="progress-reset-btn" class="progress-reset-btn-panel">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"></path>
-            <path d="M21 3v5h-5"></path>
-            <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"></path>
-            <path d="M3 21v-5h5"></path>
-          </svg>
-          Reset Progress
-        </button>
-      </div>
-    </div>
+function mountConfigBuilder(container) {
+  if (container.dataset.mounted) return;
+  container.dataset.mounted = 'true';
 
-    <!-- Overlay -->
-    <div id="progress-overlay" class="progress-overlay"></div>
+  const id = 'config-builder-' + document.querySelectorAll('.config-builder[data-mounted]').length;
+  container.innerHTML = `
+    <div class="risk-calculator-title">${uxText('config.title')}</div>
+    <p class="config-builder-note">${uxText('config.privacy')}</p>
+    <form class="risk-calculator-form config-builder-form" autocomplete="off"></form>
+    <div class="config-builder-status" aria-live="polite"></div>
+    <pre class="config-builder-preview"><code></code></pre>
+    <div class="config-builder-actions">
+      <button type="button" class="config-builder-btn" data-action="copy">${uxText('config.copy')}</button>
+      <button type="button" class="config-builder-btn" data-action="download">${uxText('config.download')}</button>
+    </div>
   `;
 
-  // Insert at end of body
-  document.body.insertAdjacentHTML('beforeend', progressHTML);
+  const form = container.querySelector('.config-builder-form');
+  CONFIG_BUILDER_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.innerHTML = `<span></span><input spellcheck="false"><small class="config-builder-error"></small>`;
+    label.querySelector('span').textContent = field.key;
 
-  // Add event listeners
-  document.getElementById('progress-float-btn').addEventListener('click', openProgressPanel);
-  document.getElementById('progress-panel-close').addEventListener('click', closeProgressPanel);
-  document.getElementById('progress-overlay').addEventListener('click', closeProgressPanel);
-  document.getElementById('progress-reset-btn').addEventListener('click', resetProgress);
-  document.getElementById('milestone-close').addEventListener('click', closeMilestoneModal);
-}
+    const input = label.querySelector('input');
+    const error = label.querySelector('.config-builder-error');
+    input.id = `${id}-${field.key}`;
+    input.name = field.key;
+    input.type = field.type;
+    input.value = field.value;
+    if (field.inputmode) input.inputMode = field.inputmode;
+    if (field.placeholder) input.placeholder = field.placeholder;
+    // Keep browsers from offering to save the MT5 password
+    if (field.type === 'password') input.autocomplete = 'new-password';
+    error.id = `${input.id}-error`;
+    input.setAttribute('aria-describedby', error.id);
+    form.appendChild(label);
+  });
 
-function openProgressPanel() {
-  document.getElementById('progress-panel').classList.add('open');
-  document.getElementById('progress-overlay').classList.add('visible');
-  document.body.style.overflow = 'hidden';
+  // GrpcServer follows a gateway Host and Port until the reader types their own
+  const grpcInput = form.elements.GrpcServer;
+  form.addEventListener('input', e => {
+    const host = form.elements.Host.value.trim();
+    if (e.target === grpcInput) grpcInput.dataset.edited = 'true';
+    if ((e.target.name === 'Host' || e.target.name === 'Port') && !grpcInput.dataset.edited &&
+        isConfigGatewayHost(host)) {
+      grpcInput.value = `https://${host}:${form.elements.Port.value.trim()}`;
+    }
+    renderConfigBuilder(container);
+  });
+  form.addEventListener('submit', e => e.preventDefault());
+
+  container.querySelector('[data-action="copy"]').addEventListener('click', () => {
+    const status = container.querySelector('.config-builder-status');
+    copyText(buildAppSettings(readConfigValues(form), false))
+      .then(() => {
+        status.textContent = uxText('config.copied');
+      })
+      .catch(() => {
+        status.textContent = uxText('config.copyFailed');
+      });
+  });
+  container.querySelector('[data-action="download"]').addEventListener('click', () => {
+    downloadFile('appsettings.json', buildAppSettings(readConfigValues(form), false), 'application/json');
+  });
+
+  renderConfigBuilder(container);
 }
 
-function closeProgressPanel() {
-  document.getElementById('progress-panel').classList.remove('open');
-  document.getElementById('progress-overlay').classList.remove('visible');
-  document.body.style.overflow = '';
+function readConfigValues(form) {
+  const values = {};
+  CONFIG_BUILDER_FIELDS.forEach(field => {
+    // Passwords may legitimately start or end with a space
+    const value = form.elements[field.key].value;
+    values[field.key] = field.type === 'password' ? value : value.trim();
+  });
+  return values;
 }
 
-function updateProgressDisplay() {
-  const progress = getProgress();
-  const stats = calculateProgress(progress);
+// Field -> error message, for every field that would break the connection
+function validateConfigValues(values) {
+  const errors = {};
 
-  const percentage = Math.round(stats.overall.percentage);
+  // ConnectionHelper reads it with ulong.Parse()
+  if (!values.User) errors.User = uxText('config.error.required');
+  else if (!/^\d+$/.test(values.User) || /^0+$/.test(values.User) || BigInt(values.User) > CONFIG_MAX_LOGIN) {
+    errors.User = uxText('config.error.login');
+  }
 
-  // Get old percentage for milestone checking
-  const oldPercentage = parseFloat(localStorage.getItem('last_percentage') || '0');
-  localStorage.setItem('last_percentage', percentage.toString());
+  if (!values.Password) errors.Password = uxText('config.error.required');
 
-  // Update floating button badge with pulse
-  const badge = document.getElementById('progress-badge');
-  if (badge) {
-    badge.textContent = percentage + '%';
-    // Trigger pulse animation
-    badge.classList.remove('pulse');
-    void badge.offsetWidth; // Force reflow
-    badge.classList.add('pulse');
-  }
+  // Never read when ServerName is set
+  if (values.Host && !/^[A-Za-z0-9.-]+$/.test(values.Host)) errors.Host = uxText('config.error.host');
 
-  // Update circular progress ring
-  const progressRing = document.getElementById('progress-ring-fill');
-  if (progressRing) {
-    const circumference = 2 * Math.PI * 30; // radius = 30
-    const offset = circumference - (percentage / 100) * circumference;
-    progressRing.style.strokeDashoffset = offset;
-  }
+  const port = Number(values.Port);
+  if (!/^\d+$/.test(values.Port) || port < 1 || port > 65535) errors.Port = uxText('config.error.port');
 
-  // Update header progress bar
-  const headerFill = document.getElementById('header-progress-fill');
-  if (headerFill) {
-    headerFill.style.width = percentage + '%';
+  if (!values.ServerName && (!values.Host || isConfigGatewayHost(values.Host))) {
+    errors.ServerName = uxText('config.error.serverName');
   }
 
-  // Update overall progress in panel
-  const overallFill = document.getElementById('overall-progress-fill');
-  const overallText = document.getElementById('overall-progress-text');
-  const overallPct = document.getElementById('overall-progress-pct');
+  const grpcError = validateGrpcServer(values, errors);
+  if (grpcError) errors.GrpcServer = grpcError;
 
-  if (overallFill) {
-    overallFill.style.width = percentage + '%';
+  if (!/^[A-Za-z0-9._#+-]+$/.test(values.BaseChartSymbol)) errors.BaseChartSymbol = uxText('config.error.symbol');
+
+  // Guid.Parse() accepts the plain and the braced form
+  if (values.InstanceId && values.InstanceId !== 'null' &&
+      !/^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i.test(values.InstanceId)) {
+    errors.InstanceId = uxText('config.error.instanceId');
   }
 
-  if (overallText) {
-    overallText.textContent = `${stats.overall.completed} / ${stats.overall.total}`;
+  const timeout = Number(values.ConnectTimeoutSeconds);
+  if (!/^\d+$/.test(values.ConnectTimeoutSeconds) || timeout < CONFIG_TIMEOUT_MIN || timeout > CONFIG_TIMEOUT_MAX) {
+    errors.ConnectTimeoutSeconds = uxText('config.error.timeout', { min: CONFIG_TIMEOUT_MIN, max: CONFIG_TIMEOUT_MAX });
   }
 
-  if (overallPct) {
-    overallPct.textContent = percentage + '%';
+  return errors;
+}
+
+// Case-sensitive, like host.Contains() in ConnectionHelper
+function isConfigGatewayHost(host) {
+  return host.includes(CONFIG_GATEWAY_HOST);
+}
+
+function validateGrpcServer(values, errors) {
+  let url;
+  try {
+    url = new URL(values.GrpcServer);
+  } catch (e) {
+    return uxText('config.error.grpcUrl');
   }
 
-  // Update category progress
-  const categoriesContainer = document.getElementById('progress-categories');
-  if (categoriesContainer) {
-    categoriesContainer.innerHTML = '';
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return uxText('config.error.grpcUrl');
+  if (url.pathname !== '/' || url.search || url.hash) return uxText('config.error.grpcPath');
 
-    Object.entries(stats.categories).forEach(([key, cat]) => {
-      const catPercentage = Math.round(cat.percentage);
-      const categoryHTML = `
-        <div class="progress-category">
-          <div class="progress-category-header">
-            <span class="progress-category-name">${cat.name}</span>
-            <span class="progress-category-count">${cat.completed}/${cat.total}</span>
-          </div>
-          <div class="progress-bar-wrapper small">
-            <div class="progress-bar-fill" style="width: ${catPercentage}%"></div>
-          </div>
-        </div>
-      `;
-      categoriesContainer.insertAdjacentHTML('beforeend', categoryHTML);
-    });
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  let expected = `https://${url.hostname}:${port}`;
+
+  // A gateway Host and Port are the gateway itself, so GrpcServer has to agree.
+  // Checked only once Host and Port are valid themselves
+  if (isConfigGatewayHost(values.Host) && !errors.Host && !errors.Port) {
+    expected = `https://${values.Host}:${values.Port}`;
+    if (url.hostname !== values.Host.toLowerCase() || port !== String(Number(values.Port))) {
+      return uxText('config.error.grpcMismatch', { url: expected });
+    }
   }
+  if (url.protocol !== 'https:' && port === '443') return uxText('config.error.grpcScheme', { url: expected });
+  return null;
+}
 
-  // Check for milestones
-  checkMilestones(oldPercentage, percentage);
+// Same layout as the appsettings.json shipped in Config/
+function buildAppSettings(values, maskPassword) {
+  const instanceId = values.InstanceId && values.InstanceId !== 'null' ? JSON.stringify(values.InstanceId) : 'null';
+  const entries = [
+    // ulong logins can exceed what a JS number holds exactly
+    ['User', /^\d+$/.test(values.User) ? values.User : JSON.stringify(values.User)],
+    ['Password', JSON.stringify(maskPassword && values.Password ? CONFIG_PASSWORD_MASK : values.Password)],
+    ['ServerName', JSON.stringify(values.ServerName)],
+    ['Host', JSON.stringify(values.Host)],
+    ['Port', /^\d+$/.test(values.Port) ? String(Number(values.Port)) : JSON.stringify(values.Port)],
+    ['GrpcServer', JSON.stringify(values.GrpcServer)],
+    ['BaseChartSymbol', JSON.stringify(values.BaseChartSymbol)],
+    ['InstanceId', instanceId],
+    ['ConnectTimeoutSeconds', /^\d+$/.test(values.ConnectTimeoutSeconds)
+      ? String(Number(values.ConnectTimeoutSeconds))
+      : JSON.stringify(values.ConnectTimeoutSeconds)]
+  ];
+
+  return '{\n  "MT5": {\n' +
+    entries.map(([key, value]) => `    "${key}": ${value}`).join(',\n') +
+    '\n  }\n}\n';
 }
 
-function calculateProgress(progress) {
-  const stats = {
-    overall: { completed: 0, total: 0, percentage: 0 },
-    categories: {}
-  };
+function renderConfigBuilder(container) {
+  const form = container.querySelector('.config-builder-form');
+  const values = readConfigValues(form);
+  const errors = validateConfigValues(values);
+  const count = Object.keys(errors).length;
 
-  Object.entries(DOC_STRUCTURE).forEach(([key, category]) => {
-    const total = category.pages.length;
-    const completed = category.pages.filter(page =>
-      progress.visitedPages.includes(page)
-    ).length;
+  CONFIG_BUILDER_FIELDS.forEach(field => {
+    const input = form.elements[field.key];
+    const error = errors[field.key] || '';
+    const message = input.parentElement.querySelector('.config-builder-error');
 
-    stats.categories[key] = {
-      name: category.name,
-      completed: completed,
-      total: total,
-      percentage: total > 0 ? (completed / total) * 100 : 0
-    };
+    // Empty required fields stay quiet until the reader has typed something
+    const quiet = !values[field.key] && !input.dataset.touched;
+    if (values[field.key]) input.dataset.touched = 'true';
+    message.textContent = quiet ? '' : error;
+    input.setAttribute('aria-invalid', error && !quiet ? 'true' : 'false');
+  });
 
-    stats.overall.completed += completed;
-    stats.overall.total += total;
+  container.querySelector('.config-builder-preview code').textContent = buildAppSettings(values, true);
+  container.querySelector('.config-builder-status').textContent = count === 0
+    ? uxText('config.valid')
+    : uxText('config.invalid', { count: count });
+  container.querySelector('.config-builder-status').dataset.state = count === 0 ? 'valid' : 'error';
+  container.querySelectorAll('.config-builder-btn').forEach(button => {
+    button.disabled = count > 0;
   });
+}
 
-  stats.overall.percentage = stats.overall.total > 0
-    ? (stats.overall.completed / stats.overall.total) * 100
-    : 0;
+// ============================================================================
+// SNIPPET VARIABLES - Reader's own symbol, volume, ticket... in C# samples
+// ============================================================================
 
-  return stats;
+// Pages mark a literal with a comment right after it, which stays valid C#:
+//   await svc.BuyLimitPoints("EURUSD"/*$symbol*/, volume: 0.01/*$volume*/, ...);
+// The markers are removed on mount; marked literals show the reader's values,
+// and the code copy button copies what is shown. A sample marks every use of a
+// variable or none, and leaves unmarked any literal that its comments, output
+// or surrounding text restate or depend on (a 1:3 SL/TP pair, EURUSD prices)
+const SNIPPET_VARS_KEY = 'csharpmt5_docs_snippet_vars';
+const SNIPPET_MARKER_PATTERN = /\/\*\$(\w+)\*\//;
+
+const SNIPPET_VARIABLES = [
+  { key: 'symbol', label: 'Symbol', example: 'EURUSD', pattern: /^[A-Za-z0-9._#+-]{1,32}$/, string: true },
+  { key: 'volume', label: 'Volume', example: '0.01', pattern: /^\d+(\.\d+)?$/, positive: true },
+  { key: 'magic', label: 'Magic', example: '12345', pattern: /^\d{1,10}$/ },
+  { key: 'ticket', label: 'Ticket', example: '12345', pattern: /^\d{1,20}$/, positive: true },
+  { key: 'slPoints', label: 'SL points', example: '50', pattern: /^\d+(\.\d+)?$/ },
+  { key: 'tpPoints', label: 'TP points', example: '100', pattern: /^\d+(\.\d+)?$/ }
+];
+
+// C# literals a marker can follow: "string" or a number
+const SNIPPET_STRING_LITERAL = /"(?:[^"\\\n]|\\.)*"$/;
+const SNIPPET_NUMBER_LITERAL = /(?:^|[^\w.])(\d+(?:\.\d+)?)$/;
+
+let snippetBindings = [];
+
+function getSnippetVariable(key) {
+  return SNIPPET_VARIABLES.find(variable => variable.key === key) || null;
 }
 
-function checkMilestones(oldPercentage, newPercentage) {
-  const milestones = [25, 50, 75, 100];
-  const shownMilestones = JSON.parse(localStorage.getItem('shown_milestones') || '[]');
+function getSnippetLabel(variable) {
+  return uxTextOr('snippets.field.' + variable.key, variable.label);
+}
 
-  for (const milestone of milestones) {
-    // Check if we just reached this milestone and haven't shown it yet
-    if (oldPercentage < milestone && newPercentage >= milestone && !shownMilestones.includes(milestone)) {
-      showMilestoneModal(milestone);
-      shownMilestones.push(milestone);
-      localStorage.setItem('shown_milestones', JSON.stringify(shownMilestones));
-      break; // Show only one milestone at a time
-    }
+function loadSnippetValues() {
+  try {
+    const values = JSON.parse(localStorage.getItem(SNIPPET_VARS_KEY));
+    return values && typeof values === 'object' ? values : {};
+  } catch (e) {
+    return {};
   }
 }
 
-function showMilestoneModal(percentage) {
-  const milestones = {
-    25: { icon: '🌟', title: 'Quarter Way There!', message: '25% complete!' },
-    50: { icon: '🎯', title: 'Halfway Champion!', message: '50% complete!' },
-    75: { icon: '🚀', title: 'Almost There!', message: '75% complete!' },
-    100: { icon: '🏆', title: 'Documentation Master!', message: '100% complete!' }
-  };
+function saveSnippetValues(values) {
+  const set = {};
+  Object.keys(values).forEach(key => {
+    if (values[key]) set[key] = values[key];
+  });
 
-  const milestone = milestones[percentage];
-  if (!milestone) return;
+  if (Object.keys(set).length > 0) localStorage.setItem(SNIPPET_VARS_KEY, JSON.stringify(set));
+  else localStorage.removeItem(SNIPPET_VARS_KEY);
+}
 
-  const modal = document.getElementById('milestone-modal');
-  const icon = document.getElementById('milestone-icon');
-  const title = document.getElementById('milestone-title');
-  const message = document.getElementById('milestone-message');
+function isSnippetValueValid(variable, value) {
+  if (!variable.pattern.test(value)) return false;
+  return !variable.positive || Number(value) > 0;
+}
 
-  if (modal && icon && title && message) {
-    icon.textContent = milestone.icon;
-    title.textContent = milestone.title;
-    message.textContent = milestone.message;
+// The literal a marked value is written as in C#
+function formatSnippetValue(variable, value) {
+  if (variable.string) return JSON.stringify(value);
+  return value.includes('.') ? String(Number(value)) : value.replace(/^0+(?=\d)/, '');
+}
 
-    modal.classList.add('show');
+function mountSnippetVariables(page) {
+  if (!page.article) return;
 
-    // Launch confetti for 100%
-    if (percentage === 100) {
-      launchConfetti();
-    }
+  snippetBindings = [];
+  page.article.querySelectorAll('pre > code').forEach(code => {
+    snippetBindings = snippetBindings.concat(bindSnippetMarkers(code));
+  });
+  if (snippetBindings.length === 0) return;
 
-    // Auto-close after 5 seconds
-    setTimeout(() => {
-      closeMilestoneModal();
-    }, 5000);
-  }
-}
+  renderSnippetBar(page.article, snippetBindings[0].block);
+  applySnippetValues();
 
-function closeMilestoneModal() {
-  const modal = document.getElementById('milestone-modal');
-  if (modal) {
-    modal.classList.remove('show');
-  }
+  return () => {
+    snippetBindings = [];
+  };
 }
 
-function launchConfetti() {
-  const container = document.getElementById('confetti-container');
-  if (!container) return;
-
-  const colors = ['#0078D4', '#00D9C0', '#FFD700', '#FF6B9D', '#C471ED', '#12D8FA'];
-  const confettiCount = 150;
+// Replaces every marker in a code block with a binding to the literal before it
+function bindSnippetMarkers(code) {
+  const bindings = [];
+  const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
 
-  for (let i = 0; i < confettiCount; i++) {
-    const confetti = document.createElement('div');
-    confetti.className = 'confetti';
-    confetti.style.left = Math.random() * 100 + '%';
-    confetti.style.backgroundColor = colors[Math.floor(Math.random() * colors.length)];
-    confetti.style.animationDelay = Math.random() * 0.5 + 's';
-    confetti.style.animationDuration = (Math.random() * 1 + 2) + 's';
+  nodes.forEach((node, index) => {
+    let current = node;
+    let match;
+    while ((match = current.data.match(SNIPPET_MARKER_PATTERN))) {
+      const variable = getSnippetVariable(match[1]);
+      const before = current.data.slice(0, match.index);
+      current.data = before + current.data.slice(match.index + match[0].length);
+      if (!variable) {
+        console.warn('Unknown snippet variable:', match[1]);
+        continue;
+      }
 
-    container.appendChild(confetti);
+      // Highlighted code has the literal in its own token just before the
+      // comment; plain code has both in one text node
+      let literal = null;
+      if (before) {
+        literal = splitSnippetLiteral(current, before, variable);
+        // Further markers are in the text after the literal
+        if (literal) current = literal.nextSibling;
+      } else {
+        literal = findSnippetLiteral(nodes, index, variable);
+      }
+      if (!literal) {
+        console.warn('Snippet marker without a literal before it:', match[0]);
+        continue;
+      }
 
-    // Trigger animation
-    setTimeout(() => {
-      confetti.classList.add('active');
-    }, 10);
+      const wrapper = document.createElement('span');
+      wrapper.className = 'snippet-var';
+      wrapper.dataset.var = variable.key;
+      literal.before(wrapper);
+      wrapper.appendChild(literal);
+      bindings.push({ variable: variable, node: literal, original: literal.data, block: code.closest('.highlight') || code.parentElement });
+    }
+  });
 
-    // Remove after animation
-    setTimeout(() => {
-      confetti.remove();
-    }, 3500);
-  }
+  return bindings;
 }
 
-function resetProgress() {
-  if (confirm('Are you sure you want to reset all progress?')) {
-    localStorage.removeItem(PROGRESS_STORAGE_KEY);
-    localStorage.removeItem('last_percentage');
-    localStorage.removeItem('shown_milestones');
-    updateProgressDisplay();
-    console.log('Progress reset');
+function getSnippetLiteral(text, variable) {
+  if (variable.string) {
+    const match = text.match(SNIPPET_STRING_LITERAL);
+    return match ? match[0] : null;
   }
+  const match = text.match(SNIPPET_NUMBER_LITERAL);
+  return match ? match[1] : null;
 }
 
-// ============================================================================
-// CONTACT PANEL - Quick access to support channels
-// ============================================================================
+// Splits the literal ending the text before a marker into a node of its own
+function splitSnippetLiteral(node, before, variable) {
+  const literal = getSnippetLiteral(before, variable);
+  if (!literal) return null;
 
-function initContactPanel() {
-  // Create and inject contact button and panel
-  createContactPanel();
+  const start = before.length - literal.length;
+  const literalNode = node.splitText(start);
+  literalNode.splitText(literal.length);
+  return literalNode;
 }
 
-function createContactPanel() {
-  // Check if contact panel already exists
-  if (document.getElementById('contact-float-btn')) return;
-
-  const contactHTML = `
-    <!-- Floating Contact Button -->
-    <button id="contact-float-btn" class="contact-float-btn" title="Contact & Support">
-      <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-      </svg>
-    </button>
-
-    <!-- Contact Side Panel -->
-    <div id="contact-panel" class="contact-panel">
-      <div class="contact-panel-header">
-        <h3>💬 Contact & Support</h3>
-        <button id="contact-panel-close" class="contact-panel-close" title="Close">&times;</button>
-      </div>
+function findSnippetLiteral(nodes, index, variable) {
+  const previous = nodes[index - 1];
+  if (!previous || getSnippetLiteral(previous.data, variable) !== previous.data) return null;
+  return previous;
+}
 
-      <div class="contact-panel-content">
-        <div class="contact-intro">
-          <h4>Need Help?</h4>
-          <p>Have questions about CSharpMT5 SDK? Reach out to us through your preferred messenger!</p>
-        </div>
+function renderSnippetBar(article, block) {
+  const bar = document.createElement('form');
+  bar.className = 'snippet-vars-bar';
+  bar.setAttribute('aria-label', uxText('snippets.title'));
+  bar.innerHTML = `
+    <span class="snippet-vars-title">${uxText('snippets.title')}</span>
+    <span class="snippet-vars-fields"></span>
+    <button type="button" class="snippet-vars-reset">${uxText('snippets.reset')}</button>
+    <small class="snippet-vars-hint">${uxText('snippets.hint')}</small>
+  `;
 
-        <div class="contact-buttons">
-          <!-- Telegram Button -->
-          <a href="https://t.me/YOUR_TELEGRAM_USERNAME" target="_blank" class="contact-btn contact-btn-telegram">
-            <div class="contact-btn-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0zm5.562 8.161l-1.84 8.673c-.139.622-.502.775-.998.483l-2.764-2.037-1.332 1.282c-.147.147-.271.271-.556.271l.199-2.815 5.139-4.643c.224-.199-.048-.31-.347-.111l-6.355 4.003-2.737-.856c-.595-.187-.607-.595.125-.881l10.703-4.124c.496-.182.93.114.762.877z"/>
-              </svg>
-            </div>
-            <div class="contact-btn-content">
-              <div class="contact-btn-title">Telegram</div>
-              <div class="contact-btn-desc">Quick responses & community chat</div>
-            </div>
-          </a>
-
-          <!-- WhatsApp Button -->
-          <a href="https://wa.me/YOUR_PHONE_NUMBER" target="_blank" class="contact-btn contact-btn-whatsapp">
-            <div class="contact-btn-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
-              </svg>
-            </div>
-            <div class="contact-btn-content">
-              <div class="contact-btn-title">WhatsApp</div>
-              <div class="contact-btn-desc">Direct messaging & voice calls</div>
-            </div>
-          </a>
-
-          <!-- GitHub Discussions Button -->
-          <a href="YOUR_GITHUB_DISCUSSIONS_URL" target="_blank" class="contact-btn contact-btn-github">
-            <div class="contact-btn-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-              </svg>
-            </div>
-            <div class="contact-btn-content">
-              <div class="contact-btn-title">GitHub Discussions</div>
-              <div class="contact-btn-desc">Community support & Q&A</div>
-            </div>
-          </a>
-
-          <!-- Email Button -->
-          <a href="mailto:YOUR_EMAIL_ADDRESS" class="contact-btn contact-btn-email">
-            <div class="contact-btn-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path>
-                <polyline points="22,6 12,13 2,6"></polyline>
-              </svg>
-            </div>
-            <div class="contact-btn-content">
-              <div class="contact-btn-title">Email</div>
-              <div class="contact-btn-desc">Business inquiries & partnerships</div>
-            </div>
-          </a>
-        </div>
-      </div>
-    </div>
+  // Placeholders show what this page's samples use
+  const values = loadSnippetValues();
+  const fields = bar.querySelector('.snippet-vars-fields');
+  SNIPPET_VARIABLES.forEach(variable => {
+    const used = snippetBindings.find(binding => binding.variable === variable);
+    const label = document.createElement('label');
+    label.innerHTML = `<span></span><input type="text" autocomplete="off" spellcheck="false">`;
+    label.querySelector('span').textContent = getSnippetLabel(variable);
 
-    <!-- Contact Overlay -->
-    <div id="contact-overlay" class="progress-overlay"></div>
-  `;
+    const input = label.querySelector('input');
+    input.name = variable.key;
+    input.placeholder = used ? used.original.replace(/"/g, '') : variable.example;
+    input.value = typeof values[variable.key] === 'string' ? values[variable.key] : '';
+    if (!variable.string) input.inputMode = 'decimal';
+    fields.appendChild(label);
+  });
 
-  // Insert at end of body
-  document.body.insertAdjacentHTML('beforeend', contactHTML);
+  bar.addEventListener('submit', e => e.preventDefault());
+  bar.addEventListener('input', () => {
+    const next = {};
+    bar.querySelectorAll('input').forEach(input => {
+      next[input.name] = input.value.trim();
+    });
+    saveSnippetValues(next);
+    applySnippetValues();
+  });
+  bar.querySelector('.snippet-vars-reset').addEventListener('click', () => {
+    bar.querySelectorAll('input').forEach(input => {
+      input.value = '';
+    });
+    saveSnippetValues({});
+    applySnippetValues();
+  });
 
-  // Add event listeners
-  document.getElementById('contact-float-btn').addEventListener('click', openContactPanel);
-  document.getElementById('contact-panel-close').addEventListener('click', closeContactPanel);
-  document.getElementById('contact-overlay').addEventListener('click', closeContactPanel);
+  block.before(bar);
 }
 
-function openContactPanel() {
-  document.getElementById('contact-panel').classList.add('open');
-  document.getElementById('contact-overlay').classList.add('visible');
-  document.body.style.overflow = 'hidden';
-}
+function applySnippetValues() {
+  const values = loadSnippetValues();
 
-function closeContactPanel() {
-  document.getElementById('contact-panel').classList.remove('open');
-  document.getElementById('contact-overlay').classList.remove('visible');
-  document.body.style.overflow = '';
+  snippetBindings.forEach(binding => {
+    const value = values[binding.variable.key];
+    const valid = typeof value === 'string' && isSnippetValueValid(binding.variable, value);
+    binding.node.data = valid ? formatSnippetValue(binding.variable, value) : binding.original;
+    binding.node.parentElement.classList.toggle('snippet-var--set', valid);
+  });
+
+  // Invalid input keeps the page's own value, and says so
+  document.querySelectorAll('.snippet-vars-bar input').forEach(input => {
+    const value = input.value.trim();
+    const invalid = value !== '' && !isSnippetValueValid(getSnippetVariable(input.name), value);
+    input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+  });
 }
@@ -0,0 +1,131 @@
+// CSharpMT5 — Offline docs service worker, registered by javascripts/ux.js
+//
+// Pages are served from the network while online and from the cache when
+// not; everything else comes from the cache first. docs_hooks/offline_cache.py
+// stamps CACHE_VERSION on every build, so a redeploy installs a new worker
+// that drops the old cache.
+
+const CACHE_PREFIX = 'csharpmt5-docs-';
+const CACHE_VERSION = 'dev';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Always cached on install, relative to the site root (the worker's scope)
+const CORE_ASSETS = [
+  './',
+  'styles/custom.css',
+  'javascripts/risk-math.js',
+  'javascripts/ux.js',
+  'sitemap.xml',
+  'assets/page-fingerprints.json'
+];
+
+const OFFLINE_PAGE = `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Offline</title></head>
+<body style="font-family: sans-serif; max-width: 40rem; margin: 4rem auto; padding: 0 1rem;">
+<h1>You are offline</h1>
+<p>This page has not been saved for offline reading yet. Use "Make all available offline"
+in the progress panel the next time you are online.</p>
+<p><a href="./">Back to the docs home page</a></p>
+</body></html>`;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => Promise.all(CORE_ASSETS.map(path =>
+        // A missing asset must not stop the worker from installing
+        cache.add(freshRequest(new URL(path, self.registration.scope).href)).catch(() => null)
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+  // Full loads and Material's instant navigation both ask for HTML
+  const accept = request.headers.get('Accept') || '';
+  if (request.mode === 'navigate' || accept.includes('text/html')) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('message', event => {
+  const data = event.data || {};
+  if (data.type === 'cache-urls' && Array.isArray(data.urls)) {
+    event.waitUntil(cacheUrls(data.urls, event.source));
+  }
+});
+
+// GitHub Pages lets the HTTP cache keep scripts and styles for a while, so a
+// worker installed right after a deploy could store the previous deploy's copy
+function freshRequest(input) {
+  return new Request(input, { cache: 'reload' });
+}
+
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || (request.mode === 'navigate'
+        ? new Response(OFFLINE_PAGE, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } })
+        : Response.error())));
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then(cached => cached || fetch(freshRequest(request)).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+  }).catch(error =>
+    // ux.js adds ?v=<build> to sitemap.xml and the fingerprints; offline, any copy will do
+    caches.match(request, { ignoreSearch: true }).then(fallback => fallback || Promise.reject(error))
+  ));
+}
+
+// "Make all available offline": fetch what isn't cached yet and report back
+function cacheUrls(urls, client) {
+  const notify = message => {
+    if (client) client.postMessage(message);
+  };
+  let done = 0;
+  let failed = 0;
+
+  return caches.open(CACHE_NAME).then(cache =>
+    // One at a time, so a slow link stays usable for reading meanwhile
+    urls.reduce((chain, url) => chain
+      .then(() => cache.match(url))
+      .then(cached => cached || fetch(freshRequest(url)).then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return cache.put(url, response);
+      }))
+      .catch(() => {
+        failed++;
+      })
+      .then(() => {
+        done++;
+        notify({ type: 'cache-progress', done: done, total: urls.length });
+      }), Promise.resolve())
+  ).then(() => notify({ type: 'cache-done', total: urls.length, failed: failed }));
+}
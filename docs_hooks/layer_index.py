@@ -0,0 +1,282 @@
+"""
+MkDocs hook: builds assets/layer-index.json for the "Same operation in other
+layers" boxes in docs/javascripts/ux.js.
+
+Every method documented in docs/API_Reference/*.API.md is indexed with its
+summary, signature and anchor. Methods that delegate to a lower layer
+(MT5Sugar -> MT5Service -> MT5Account) are grouped under the MT5Account method
+they end up calling, e.g. BuyMarketByRisk -> PlaceMarket -> OrderSendAsync.
+The delegation is read from MT5Sugar.cs and MT5Service.cs.
+
+Calling a method is not the same as doing the same thing - CalcVolumeForRiskAsync
+reads symbol properties too. So a method is only grouped when it has the
+MT5Account method's name, or SAME_OPERATION lists it under that method.
+"""
+
+import glob
+import json
+import os
+import re
+
+OUTPUT_PATH = os.path.join('assets', 'layer-index.json')
+
+LAYERS = [
+    # layer, API reference page, source file, call prefix into the layer below
+    ('MT5Account', 'API_Reference/MT5Account.API', None, None),
+    ('MT5Service', 'API_Reference/MT5Service.API', 'MT5Service.cs', '_acc.'),
+    ('MT5Sugar', 'API_Reference/MT5Sugar.API', 'MT5Sugar.cs', 'svc.'),
+]
+
+# Preparation steps that are never "the" operation of a method
+SETUP_CALLS = {'EnsureSelected'}
+
+# MT5Account method -> variant -> differently named wrappers that carry out
+# just that operation. Wrappers pair up with the MT5Account method and with
+# wrappers of the same variant (GetBidAsync is not GetVolumeMinAsync, though
+# both read a symbol double). Helpers that compute, filter or combine results
+# are left out.
+SAME_OPERATION = {
+    'AccountInfoDoubleAsync': {
+        'balance': {'GetBalanceAsync'},
+        'equity': {'GetEquityAsync'},
+        'margin': {'GetMarginAsync'},
+        'free-margin': {'GetFreeMarginAsync'},
+        'profit': {'GetProfitAsync'},
+    },
+    'AccountInfoIntegerAsync': {
+        'login': {'GetLoginAsync'},
+        'leverage': {'GetLeverageAsync'},
+        'trade-allowed': {'IsTradingAllowedAsync'},
+    },
+    'AccountInfoStringAsync': {
+        'name': {'GetAccountNameAsync'},
+        'server': {'GetServerNameAsync'},
+        'currency': {'GetCurrencyAsync'},
+    },
+    'SymbolInfoDoubleAsync': {
+        'bid': {'GetBidAsync'},
+        'ask': {'GetAskAsync'},
+        'point': {'GetPointAsync'},
+        'volume-min': {'GetVolumeMinAsync'},
+        'volume-max': {'GetVolumeMaxAsync'},
+        'volume-step': {'GetVolumeStepAsync'},
+    },
+    'SymbolInfoIntegerAsync': {
+        'spread': {'GetSpreadAsync'},
+        'digits': {'GetDigitsAsync'},
+    },
+    'SymbolInfoTickAsync': {'quote': {'QuoteAsync'}},
+    'SymbolInfoSessionQuoteAsync': {'session': {'GetQuoteSessionAsync'}},
+    'SymbolInfoSessionTradeAsync': {'session': {'GetTradeSessionAsync'}},
+    'OrderHistoryAsync': {
+        'recent': {'GetRecentOrdersAsync', 'OrdersHistoryLast'},
+        'today': {'GetTodayOrdersAsync'},
+    },
+    'PositionsHistoryAsync': {'paged': {'PositionsHistoryPaged'}},
+    'MarketBookGetAsync': {'snapshot': {'GetMarketBookSnapshotAsync'}},
+    'OrderSendAsync': {
+        'market': {'PlaceMarket'},
+        'pending': {'PlacePending'},
+        'buy-market': {'BuyMarketAsync', 'BuyMarketByRisk'},
+        'sell-market': {'SellMarketAsync', 'SellMarketByRisk'},
+        'buy-limit': {'BuyLimitAsync', 'BuyLimitPoints'},
+        'sell-limit': {'SellLimitAsync', 'SellLimitPoints'},
+        'buy-stop': {'BuyStopAsync', 'BuyStopPoints'},
+        'sell-stop': {'SellStopAsync', 'SellStopPoints'},
+    },
+    'OrderModifyAsync': {'sl-tp': {'ModifySlTpAsync'}},
+    'OrderCloseAsync': {'ticket': {'CloseByTicket'}},
+    'OrderCheckAsync': {'validate': {'ValidateOrderAsync'}},
+    'OrderCalcMarginAsync': {
+        'buy': {'CalculateBuyMarginAsync'},
+        'sell': {'CalculateSellMarginAsync'},
+    },
+    'OnSymbolTickAsync': {'read': {'ReadTicks'}},
+    'OnTradeAsync': {'read': {'ReadTrades'}},
+}
+
+
+def find_variant(operation, name):
+    for variant, names in SAME_OPERATION.get(operation, {}).items():
+        if name in names:
+            return variant
+    return None
+
+
+TABLE_METHOD_RE = re.compile(r'^\| `(\w+)\(', re.MULTILINE)
+HEADING_RE = re.compile(r'^## (\w+)\s*$', re.MULTILINE)
+SIGNATURE_RE = re.compile(r'```csharp\n(.*?)```', re.DOTALL)
+DECLARATION_RE = re.compile(
+    r'^        public (?:static )?(?:async )?[\w<>\[\]?, ().]+? (\w+)\(', re.MULTILINE)
+CALL_RE = re.compile(r'(_acc\.|svc\.)?\b([A-Z]\w+)\(')
+RETURN_CALL_RE = re.compile(r'(?:\breturn|=>)\s+(?:await\s+)?(_acc\.|svc\.)?([A-Z]\w+)\(')
+
+
+def parse_api_reference(path):
+    """Method name -> summary, one-line signature and anchor."""
+    with open(path, encoding='utf-8-sig') as f:
+        text = f.read()
+
+    methods = {}
+    headings = list(HEADING_RE.finditer(text))
+    for i, heading in enumerate(headings):
+        name = heading.group(1)
+        # Overloads and nested types repeat a heading; the first one wins
+        if name in methods:
+            continue
+
+        end = headings[i + 1].start() if i + 1 < len(headings) else len(text)
+        body = text[heading.end():end]
+
+        summary = ''
+        for line in body.strip().splitlines():
+            if line.startswith('#'):
+                break
+            if line.strip():
+                summary = line.strip()
+                break
+
+        signature = SIGNATURE_RE.search(body)
+        methods[name] = {
+            'name': name,
+            'anchor': name.lower(),
+            'summary': summary,
+            'signature': ' '.join(signature.group(1).split()).replace('( ', '(').replace(' )', ')')
+            if signature else '',
+        }
+
+    return methods
+
+
+def parse_delegations(path, call_prefix, own_methods):
+    """Method name -> (prefix, name) of the call that carries out the operation."""
+    with open(path, encoding='utf-8-sig') as f:
+        text = f.read()
+
+    declarations = list(DECLARATION_RE.finditer(text))
+    delegations = {}
+    for i, declaration in enumerate(declarations):
+        name = declaration.group(1)
+        if name in delegations:
+            continue
+
+        end = declarations[i + 1].start() if i + 1 < len(declarations) else len(text)
+        body = text[declaration.end():end]
+        body = body[:body.find('/// <summary>')] if '/// <summary>' in body else body
+
+        calls = [
+            (prefix or '', called) for prefix, called in CALL_RE.findall(body)
+            if called not in SETUP_CALLS
+            and (prefix == call_prefix or (not prefix and called in own_methods and called != name))
+        ]
+
+        # The returned call is the operation; otherwise a single distinct call
+        returned = [
+            (prefix or '', called) for prefix, called in RETURN_CALL_RE.findall(body)
+            if (prefix or '', called) in calls
+        ]
+        if returned:
+            delegations[name] = returned[0]
+        elif len(set(calls)) == 1:
+            delegations[name] = calls[0]
+
+    return delegations
+
+
+def find_method_pages(docs_dir, layer):
+    """Dedicated pages named after the method, e.g. MT5Account/.../OrderSend.md"""
+    pages = {}
+    for path in glob.glob(os.path.join(docs_dir, layer, '**', '*.md'), recursive=True):
+        page = os.path.relpath(path, docs_dir)[:-3].replace(os.sep, '/')
+        pages[page.rsplit('/', 1)[-1]] = page
+    return pages
+
+
+def find_listing_pages(docs_dir, layer):
+    """Method name -> pages covering several methods that list it in a table,
+    e.g. MT5Service/Trading_Convenience_Methods.md"""
+    listed = {}
+    for path in sorted(glob.glob(os.path.join(docs_dir, layer, '**', '*.md'), recursive=True)):
+        page = os.path.relpath(path, docs_dir)[:-3].replace(os.sep, '/')
+        with open(path, encoding='utf-8-sig') as f:
+            names = TABLE_METHOD_RE.findall(f.read())
+        for name in dict.fromkeys(names):
+            listed.setdefault(name, []).append(page)
+    return listed
+
+
+def build_index(root_dir, docs_dir):
+    methods = {}
+    delegations = {}
+    for layer, reference, source, call_prefix in LAYERS:
+        reference_path = os.path.join(docs_dir, reference + '.md')
+        if not os.path.exists(reference_path):
+            continue
+
+        layer_methods = parse_api_reference(reference_path)
+        pages = find_method_pages(docs_dir, layer)
+        listed = find_listing_pages(docs_dir, layer)
+        for name, method in layer_methods.items():
+            # MT5Account documents sync twins (OrderSend) next to OrderSendAsync
+            if layer == 'MT5Account' and name + 'Async' in layer_methods:
+                continue
+
+            method['layer'] = layer
+            method['reference'] = reference
+            page = pages.get(name) or pages.get(re.sub(r'Async$', '', name))
+            if page:
+                method['page'] = page
+            elif name in listed:
+                method['listedOn'] = listed[name]
+            methods[(layer, name)] = method
+
+        source_path = os.path.join(root_dir, source) if source else None
+        if source_path and os.path.exists(source_path):
+            delegations[layer] = parse_delegations(source_path, call_prefix, layer_methods)
+
+    layer_names = [layer for layer, _, _, _ in LAYERS]
+
+    def resolve(layer, name, seen=()):
+        """Follow delegations down to an MT5Account method."""
+        if layer == 'MT5Account':
+            return name if ('MT5Account', name) in methods else None
+        target = delegations.get(layer, {}).get(name)
+        if not target or (layer, name) in seen:
+            return None
+
+        prefix, called = target
+        lower = layer_names[layer_names.index(layer) - 1]
+        seen = seen + ((layer, name),)
+        if not prefix:
+            return resolve(layer, called, seen)
+        # svc.X in MT5Sugar is an MT5Service method unless only Sugar defines X
+        if prefix == 'svc.' and (lower, called) not in methods:
+            return resolve(layer, called, seen)
+        return resolve(lower, called, seen)
+
+    for (layer, name), method in methods.items():
+        operation = resolve(layer, name)
+        if not operation:
+            continue
+        # The table must agree with the source, so a refactor there can't
+        # leave a method grouped with something it no longer calls
+        if name == operation:
+            method['operation'] = operation
+        elif find_variant(operation, name):
+            method['operation'] = operation
+            method['variant'] = find_variant(operation, name)
+
+    return {
+        'layers': layer_names,
+        'methods': list(methods.values()),
+    }
+
+
+def on_post_build(config, **kwargs):
+    root_dir = os.path.dirname(config.config_file_path)
+    index = build_index(root_dir, config.docs_dir)
+
+    output = os.path.join(config.site_dir, OUTPUT_PATH)
+    os.makedirs(os.path.dirname(output), exist_ok=True)
+    with open(output, 'w', encoding='utf-8') as f:
+        json.dump(index, f, ensure_ascii=False, separators=(',', ':'))
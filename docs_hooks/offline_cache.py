@@ -0,0 +1,54 @@
+"""
+MkDocs hook: stamps the build version into sw.js, the offline service worker
+registered by docs/javascripts/ux.js.
+
+The version is a hash of the built site. A deploy that changes the docs
+installs a new worker, which replaces the old offline cache; rebuilding
+unchanged docs keeps it. Every page carries the build time in its docs-build
+meta (docs/includes/main.html), so that tag is left out of the hash. Runs
+after the other hooks so their assets count.
+"""
+
+import hashlib
+import os
+import re
+
+WORKER_PATH = 'sw.js'
+VERSION_LINE = "const CACHE_VERSION = 'dev';"
+
+# Files that change on every build without the docs changing
+SKIPPED = {WORKER_PATH, 'sitemap.xml', 'sitemap.xml.gz'}
+BUILD_STAMP_RE = re.compile(rb'<meta name="docs-build" content="[^"]*">')
+
+
+def build_version(site_dir):
+    digest = hashlib.sha1()
+    for root, dirs, files in os.walk(site_dir):
+        dirs.sort()
+        for name in sorted(files):
+            path = os.path.join(root, name)
+            relative = os.path.relpath(path, site_dir).replace(os.sep, '/')
+            if relative in SKIPPED:
+                continue
+
+            digest.update(relative.encode('utf-8'))
+            with open(path, 'rb') as f:
+                content = f.read()
+            if name.endswith('.html'):
+                content = BUILD_STAMP_RE.sub(b'', content)
+            digest.update(content)
+
+    return digest.hexdigest()[:12]
+
+
+def on_post_build(config, **kwargs):
+    worker = os.path.join(config.site_dir, WORKER_PATH)
+    if not os.path.exists(worker):
+        return
+
+    with open(worker, encoding='utf-8') as f:
+        source = f.read()
+
+    version = build_version(config.site_dir)
+    with open(worker, 'w', encoding='utf-8') as f:
+        f.write(source.replace(VERSION_LINE, "const CACHE_VERSION = '%s';" % version))
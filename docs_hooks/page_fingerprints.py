@@ -0,0 +1,52 @@
+"""
+MkDocs hook: builds assets/page-fingerprints.json for the "Updated since you
+read it" badges in docs/javascripts/ux.js.
+
+Every page gets a short hash of its markdown source. The progress tracker
+stores the hash when a page is read and flags the page once the hash changes.
+Whitespace is collapsed first, so re-wrapping lines or trailing spaces don't
+count as an update.
+"""
+
+import hashlib
+import json
+import os
+from urllib.parse import unquote
+
+OUTPUT_PATH = os.path.join('assets', 'page-fingerprints.json')
+
+fingerprints = {}
+
+
+def page_path(url):
+    """Page URL -> the page path ux.js uses, see pagePathFromUrl()."""
+    path = unquote(url)
+    if path.endswith('.html'):
+        path = path[:-len('.html')]
+    if path == 'index' or path.endswith('/index'):
+        path = path[:-len('index')]
+    path = path.rstrip('/')
+    return path or 'index'
+
+
+def fingerprint(markdown):
+    text = ' '.join(markdown.split())
+    return hashlib.sha1(text.encode('utf-8')).hexdigest()[:12]
+
+
+def on_pre_build(config, **kwargs):
+    # `mkdocs serve` rebuilds in the same process
+    fingerprints.clear()
+
+
+def on_page_markdown(markdown, page, **kwargs):
+    fingerprints[page_path(page.url)] = fingerprint(markdown)
+    return markdown
+
+
+def on_post_build(config, **kwargs):
+    output = os.path.join(config.site_dir, OUTPUT_PATH)
+    os.makedirs(os.path.dirname(output), exist_ok=True)
+    with open(output, 'w', encoding='utf-8') as f:
+        json.dump({'pages': dict(sorted(fingerprints.items()))}, f,
+                  ensure_ascii=False, separators=(',', ':'))
@@ -0,0 +1,188 @@
+"""
+MkDocs hook: builds assets/protobuf-index.json for the in-browser Protobuf
+inspector in docs/javascripts/ux.js.
+
+Mirrors what `dotnet run inspect` shows (Examples/Helpers/ProtobufInspector.cs)
+without needing a .NET build:
+  - message and enum types of namespace mt5_term_api, parsed from the generated
+    C# sources in package/
+  - descriptions from package/MetaRPC.MT5.xml
+  - a link to the MT5Account page that documents each type
+"""
+
+import glob
+import json
+import os
+import re
+import xml.etree.ElementTree as ET
+
+NAMESPACE = 'mt5_term_api'
+OUTPUT_PATH = os.path.join('assets', 'protobuf-index.json')
+
+MESSAGE_RE = re.compile(r'^  public sealed partial class (\w+) : pb::IMessage<')
+ENUM_RE = re.compile(r'^  public enum (\w+) \{')
+FIELD_NUMBER_RE = re.compile(r'Field number for the "(\w+)" field\.')
+FIELD_CONST_RE = re.compile(r'^    public const int (\w+)FieldNumber = (\d+);')
+PROPERTY_RE = re.compile(r'^    public (?!static |override |const |partial )([\w:.<>, ]+) (\w+) \{$')
+ENUM_VALUE_RE = re.compile(r'\[pbr::OriginalName\("(\w+)"\)\] (\w+) = (-?\d+),')
+
+TYPE_ALIASES = {
+    'global::Google.Protobuf.WellKnownTypes.': '',
+    'global::' + NAMESPACE + '.': '',
+    'global::Mt5TermApi.': '',
+    'pbc::RepeatedField': 'List',
+    'pbc::MapField': 'Map',
+    'pb::ByteString': 'bytes',
+}
+
+
+def simplify_type(type_name):
+    for prefix, replacement in TYPE_ALIASES.items():
+        type_name = type_name.replace(prefix, replacement)
+    return type_name
+
+
+def parse_sources(package_dir):
+    types = {}
+
+    for path in sorted(glob.glob(os.path.join(package_dir, 'Mt5TermApi*.cs'))):
+        with open(path, encoding='utf-8-sig') as f:
+            lines = f.read().splitlines()
+
+        if not any(line.startswith('namespace ' + NAMESPACE) for line in lines[:40]):
+            continue
+
+        current = None
+        pending_field = None
+        for line in lines:
+            message = MESSAGE_RE.match(line)
+            enum = ENUM_RE.match(line)
+            if message or enum:
+                name = (message or enum).group(1)
+                current = types[name] = {
+                    'name': name,
+                    'kind': 'enum' if enum else type_kind(name),
+                    'fields' if message else 'values': [],
+                }
+                pending_field = None
+                continue
+
+            if current is None:
+                continue
+
+            # Top-level types end with a closing brace at two-space indent
+            if line == '  }':
+                current = None
+                continue
+
+            if current['kind'] == 'enum':
+                value = ENUM_VALUE_RE.search(line)
+                if value:
+                    current['values'].append({
+                        'name': value.group(1),
+                        'csharp': value.group(2),
+                        'value': int(value.group(3)),
+                    })
+                continue
+
+            field_name = FIELD_NUMBER_RE.search(line)
+            if field_name:
+                pending_field = {'proto': field_name.group(1)}
+                continue
+
+            field_const = FIELD_CONST_RE.match(line)
+            if field_const and pending_field is not None:
+                pending_field['csharp'] = field_const.group(1)
+                pending_field['number'] = int(field_const.group(2))
+                continue
+
+            prop = PROPERTY_RE.match(line)
+            if prop and pending_field is not None and prop.group(2) == pending_field.get('csharp'):
+                raw_type = prop.group(1)
+                current['fields'].append({
+                    'name': prop.group(2),
+                    'proto': pending_field['proto'],
+                    'number': pending_field['number'],
+                    'type': simplify_type(raw_type),
+                    'repeated': 'RepeatedField' in raw_type,
+                })
+                pending_field = None
+
+    return types
+
+
+def type_kind(name):
+    for suffix in ('Request', 'Reply', 'Data'):
+        if name.endswith(suffix):
+            return suffix.lower()
+    return 'class'
+
+
+def attach_descriptions(types, xml_path):
+    if not os.path.exists(xml_path):
+        return
+
+    summaries = {}
+    for member in ET.parse(xml_path).getroot().iter('member'):
+        summary = member.find('summary')
+        if summary is not None and summary.text:
+            summaries[member.get('name')] = ' '.join(summary.text.split())
+
+    for type_info in types.values():
+        prefix = NAMESPACE + '.' + type_info['name']
+        if 'T:' + prefix in summaries:
+            type_info['summary'] = summaries['T:' + prefix]
+        for field in type_info.get('fields', []):
+            summary = summaries.get('P:' + prefix + '.' + field['name'])
+            if summary:
+                field['summary'] = summary
+        for value in type_info.get('values', []):
+            summary = summaries.get('F:' + prefix + '.' + value['csharp'])
+            if summary:
+                value['summary'] = summary
+
+
+def attach_doc_pages(types, docs_dir):
+    """Link each type to the MT5Account page that documents it best."""
+    pages = {}
+    for path in glob.glob(os.path.join(docs_dir, 'MT5Account', '**', '*.md'), recursive=True):
+        page = os.path.relpath(path, docs_dir)[:-3].replace(os.sep, '/')
+        with open(path, encoding='utf-8-sig') as f:
+            pages[page] = f.read()
+
+    for name, type_info in types.items():
+        # OrderSendRequest -> OrderSend, AccountSummaryData -> AccountSummary
+        method = re.sub(r'(Request|Reply|Data)$', '', name)
+        exact = [page for page in pages if page.rsplit('/', 1)[-1] == method]
+        if exact:
+            type_info['page'] = exact[0]
+            continue
+
+        pattern = re.compile(r'\b' + re.escape(name) + r'\b')
+        mentions = sorted(
+            ((len(pattern.findall(text)), page) for page, text in pages.items()),
+            key=lambda item: (-item[0], item[1]))
+        if mentions and mentions[0][0] > 0:
+            type_info['page'] = mentions[0][1]
+
+
+def build_index(root_dir, docs_dir):
+    package_dir = os.path.join(root_dir, 'package')
+    types = parse_sources(package_dir)
+    attach_descriptions(types, os.path.join(package_dir, 'MetaRPC.MT5.xml'))
+    attach_doc_pages(types, docs_dir)
+
+    return {
+        'namespace': NAMESPACE,
+        'types': sorted(types.values(), key=lambda t: t['name']),
+    }
+
+
+def on_post_build(config, **kwargs):
+    root_dir = os.path.dirname(config.config_file_path)
+    index = build_index(root_dir, config.docs_dir)
+
+    output = os.path.join(config.site_dir, OUTPUT_PATH)
+    os.makedirs(os.path.dirname(output), exist_ok=True)
+    with open(output, 'w', encoding='utf-8') as f:
+        json.dump(index, f, ensure_ascii=False, separators=(',', ':'))
@@ -0,0 +1,134 @@
+// Dialog keyboard flows and ARIA state (DIALOGS in docs/javascripts/ux.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDocsPage, closeDocsPages, pressKey, wait } = require('./helpers/docs-page.js');
+
+// Floating panels and the buttons that open them
+const PANELS = [
+  { id: 'progress-panel', trigger: 'progress-float-btn' },
+  { id: 'contact-panel', trigger: 'contact-float-btn' },
+  { id: 'retcode-panel', trigger: 'retcode-float-btn' },
+  { id: 'protobuf-panel', trigger: 'protobuf-float-btn' },
+  { id: 'bookmarks-panel', trigger: 'bookmarks-float-btn' }
+];
+
+const ACHIEVEMENT = { id: 'test', icon: '🏆', title: 'Test unlocked', description: 'Well done', confetti: true };
+
+test.afterEach(closeDocsPages);
+
+function openFrom(window, triggerId) {
+  const trigger = window.document.getElementById(triggerId);
+  trigger.focus();
+  trigger.click();
+  return trigger;
+}
+
+for (const panel of PANELS) {
+  test(`${panel.id} is a labelled modal dialog`, () => {
+    const window = loadDocsPage();
+    const dialog = window.document.getElementById(panel.id);
+
+    assert.equal(dialog.getAttribute('role'), 'dialog');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    const label = window.document.getElementById(dialog.getAttribute('aria-labelledby'));
+    assert.ok(label && dialog.contains(label), 'aria-labelledby points into the dialog');
+    assert.notEqual(label.textContent.trim(), '');
+  });
+
+  test(`${panel.id} keeps Tab and Shift+Tab inside and returns focus on Escape`, () => {
+    const window = loadDocsPage();
+    const document = window.document;
+    const dialog = document.getElementById(panel.id);
+    const trigger = openFrom(window, panel.trigger);
+
+    const elements = window.getFocusableElements(dialog);
+    assert.ok(elements.length > 1, 'the panel has something to tab through');
+    assert.ok(dialog.contains(document.activeElement), 'opening moves focus into the panel');
+
+    elements[elements.length - 1].focus();
+    assert.equal(pressKey(window, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, elements[0]);
+
+    assert.equal(pressKey(window, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, elements[elements.length - 1]);
+
+    // In between, the browser moves focus on its own
+    elements[0].focus();
+    assert.equal(pressKey(window, 'Tab').defaultPrevented, false);
+
+    pressKey(window, 'Escape');
+    assert.equal(document.activeElement, trigger);
+    assert.equal(pressKey(window, 'Tab').defaultPrevented, false, 'the trap is released');
+  });
+}
+
+test('the command palette is a labelled modal dialog that keeps focus inside', () => {
+  const window = loadDocsPage();
+  const document = window.document;
+  const palette = document.getElementById('command-palette');
+
+  assert.equal(palette.getAttribute('role'), 'dialog');
+  assert.equal(palette.getAttribute('aria-modal'), 'true');
+  assert.ok(palette.getAttribute('aria-label') || palette.getAttribute('aria-labelledby'));
+
+  const before = document.getElementById('progress-float-btn');
+  before.focus();
+  pressKey(window, 'k', { ctrlKey: true });
+  assert.equal(document.activeElement, document.getElementById('palette-input'));
+
+  const elements = window.getFocusableElements(palette);
+  elements[elements.length - 1].focus();
+  pressKey(window, 'Tab');
+  assert.equal(document.activeElement, elements[0]);
+
+  pressKey(window, 'Escape');
+  assert.equal(palette.classList.contains('open'), false);
+  assert.equal(document.activeElement, before);
+});
+
+test('Escape closes only the dialog on top', () => {
+  const window = loadDocsPage({ reducedMotion: true });
+  const document = window.document;
+  const panel = document.getElementById('progress-panel');
+  const modal = document.getElementById('milestone-modal');
+  const trigger = openFrom(window, 'progress-float-btn');
+
+  window.showMilestoneModal(ACHIEVEMENT);
+  assert.equal(modal.getAttribute('aria-modal'), 'true');
+  assert.equal(document.getElementById(modal.getAttribute('aria-labelledby')).textContent, 'Test unlocked');
+  assert.equal(document.getElementById(modal.getAttribute('aria-describedby')).textContent, 'Well done');
+  assert.ok(modal.contains(document.activeElement));
+
+  pressKey(window, 'Escape');
+  assert.equal(modal.classList.contains('show'), false);
+  assert.equal(panel.classList.contains('open'), true);
+  assert.ok(panel.contains(document.activeElement), 'focus goes back into the panel');
+
+  pressKey(window, 'Escape');
+  assert.equal(panel.classList.contains('open'), false);
+  assert.equal(document.activeElement, trigger);
+});
+
+test('announcements go to a polite live region', async () => {
+  const window = loadDocsPage();
+  const announcer = window.document.getElementById('ux-announcer');
+
+  assert.equal(announcer.getAttribute('role'), 'status');
+  assert.equal(announcer.getAttribute('aria-live'), 'polite');
+
+  window.announce('Saved');
+  assert.equal(announcer.textContent, '', 'cleared first so a repeat is read again');
+  await wait(150);
+  assert.equal(announcer.textContent, 'Saved');
+});
+
+test('confetti is skipped when the reader prefers reduced motion', () => {
+  const reduced = loadDocsPage({ reducedMotion: true });
+  reduced.launchConfetti();
+  assert.equal(reduced.document.querySelectorAll('.confetti').length, 0);
+
+  const animated = loadDocsPage();
+  animated.launchConfetti();
+  assert.equal(animated.document.querySelectorAll('.confetti').length, 150);
+});
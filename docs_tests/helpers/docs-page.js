@@ -0,0 +1,81 @@
+// Loads docs/javascripts into a jsdom page shaped like a Material for MkDocs
+// page, for tests that need the DOM. Network requests fail like a site opened
+// without its build assets, apart from the ones a test passes in.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'docs', 'javascripts');
+const SCRIPTS = ['risk-math.js', 'ux.js'].map(name => fs.readFileSync(path.join(SCRIPTS_DIR, name), 'utf8'));
+const SITE_URL = 'https://docs.example.com/CSharpMT5/';
+
+// ux.js starts timers, so every page has to be closed for the run to end
+const openPages = [];
+
+function loadDocsPage(options = {}) {
+  const page = options.page || 'Getting_Started';
+  const dom = new JSDOM(`<!doctype html><html lang="en"><head><title>Docs</title></head><body>
+    <header class="md-header"><div class="md-header__inner"></div></header>
+    <div class="md-container"><main class="md-main"><div class="md-main__inner">
+      <div class="md-content" data-md-component="content">
+        <article class="md-content__inner md-typeset">${options.article || '<h1>Page</h1><p>Text</p>'}</article>
+      </div>
+    </div></main></div>
+    <script id="__config" type="application/json">{"base": "..", "features": []}</script>
+  </body></html>`, {
+    url: SITE_URL + page + '/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+
+  const window = dom.window;
+  openPages.push(window);
+  if (options.storage) {
+    Object.entries(options.storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  }
+  // options.assets serves JSON by path under the site root, e.g. 'assets/x.json'
+  const assets = options.assets || {};
+  window.fetch = url => {
+    const asset = assets[new URL(url, SITE_URL).pathname.slice(new URL(SITE_URL).pathname.length)];
+    return Promise.resolve(asset
+      ? { ok: true, status: 200, json: () => Promise.resolve(JSON.parse(JSON.stringify(asset))) }
+      : { ok: false, status: 404 });
+  };
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.scrollTo = () => {};
+  window.matchMedia = query => ({
+    matches: query === '(prefers-reduced-motion: reduce)' && !!options.reducedMotion,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  });
+
+  SCRIPTS.forEach(script => window.eval(script));
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return window;
+}
+
+// Lets the failed fetches settle first, so nothing runs in a closed window
+async function closeDocsPages() {
+  await wait(50);
+  openPages.splice(0).forEach(window => window.close());
+}
+
+function pressKey(window, key, init = {}) {
+  const target = window.document.activeElement || window.document.body;
+  const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init));
+  target.dispatchEvent(event);
+  return event;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadDocsPage, closeDocsPages, pressKey, wait };
@@ -0,0 +1,170 @@
+// Reading analytics aggregation (READING ANALYTICS in docs/javascripts/ux.js)
+
+// Days are local calendar days; Berlin has daylight saving changes to cross
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDocsPage, closeDocsPages, wait } = require('./helpers/docs-page.js');
+
+const window = loadDocsPage();
+test.after(closeDocsPages);
+
+// Results come from the page's realm; compare them as plain data
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function progressWith(fields) {
+  return Object.assign(window.createEmptyProgress(), fields);
+}
+
+// Local time, e.g. at('2026-10-25', '10:00')
+function at(day, time = '12:00') {
+  return new Date(`${day}T${time}:00`);
+}
+
+function activityOn(days) {
+  const activity = {};
+  days.forEach(day => {
+    activity[day] = 60;
+  });
+  return activity;
+}
+
+test('visits closer together than 30 minutes count once', () => {
+  const record = {};
+  window.recordPageVisit(record, at('2026-10-19', '10:00').toISOString());
+  window.recordPageVisit(record, at('2026-10-19', '10:29').toISOString());
+  assert.equal(record.visits.length, 1);
+  assert.equal(record.lastVisitedAt, at('2026-10-19', '10:29').toISOString());
+
+  // The gap is measured from the last counted visit, not the last reload
+  window.recordPageVisit(record, at('2026-10-19', '10:30').toISOString());
+  assert.deepEqual(plain(record.visits), [at('2026-10-19', '10:00').toISOString(), at('2026-10-19', '10:30').toISOString()]);
+});
+
+test('the streak runs across daylight saving changes', () => {
+  // Clocks go back on 2026-10-25 and forward on 2026-03-29
+  assert.notEqual(at('2026-10-24').getTimezoneOffset(), at('2026-10-26').getTimezoneOffset());
+  const autumn = progressWith({ activity: activityOn(['2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26']) });
+  assert.deepEqual(plain(window.getReadingStreak(autumn, at('2026-10-26', '23:30'))), { current: 4, longest: 4 });
+
+  const spring = progressWith({ activity: activityOn(['2026-03-28', '2026-03-29', '2026-03-30']) });
+  assert.deepEqual(plain(window.getReadingStreak(spring, at('2026-03-30', '00:30'))), { current: 3, longest: 3 });
+});
+
+test('the streak holds until today ends without reading', () => {
+  const progress = progressWith({ activity: activityOn(['2026-10-16', '2026-10-17', '2026-10-18']) });
+  assert.deepEqual(plain(window.getReadingStreak(progress, at('2026-10-19', '08:00'))), { current: 3, longest: 3 });
+  assert.deepEqual(plain(window.getReadingStreak(progress, at('2026-10-20', '08:00'))), { current: 0, longest: 3 });
+});
+
+test('a visit makes a reading day even without active time', () => {
+  const progress = progressWith({
+    activity: activityOn(['2026-10-17']),
+    pages: { 'MT5Sugar/PlaceMarket': { visits: [at('2026-10-18', '09:00').toISOString()] } }
+  });
+  assert.deepEqual(plain(window.getReadingStreak(progress, at('2026-10-18', '20:00'))), { current: 2, longest: 2 });
+});
+
+test('activity keeps the last 365 days', () => {
+  const progress = progressWith({});
+  const first = at('2025-01-01');
+  for (let i = 0; i < 400; i++) {
+    const date = new Date(first);
+    date.setDate(first.getDate() + i);
+    window.addReadingActivity(progress, 60, date);
+  }
+
+  const days = Object.keys(progress.activity).sort();
+  assert.equal(days.length, 365);
+  assert.equal(days[0], '2025-02-05');
+  assert.equal(days[days.length - 1], '2026-02-04');
+
+  window.addReadingActivity(progress, 30, at('2026-02-04'));
+  assert.equal(progress.activity['2026-02-04'], 90);
+});
+
+test('importing merges activity per day without adding it up twice', () => {
+  const current = progressWith({ activity: { '2026-10-17': 120, '2026-10-18': 300 } });
+  const incoming = progressWith({ activity: { '2026-10-18': 200, '2026-10-19': 60 } });
+
+  const merged = window.mergeProgress(current, incoming);
+  assert.deepEqual(plain(merged.activity), { '2026-10-17': 120, '2026-10-18': 300, '2026-10-19': 60 });
+
+  // An export imported back changes nothing
+  assert.deepEqual(plain(window.mergeProgress(merged, merged).activity), plain(merged.activity));
+});
+
+test('merged activity keeps the last 365 days too', () => {
+  const older = {};
+  const newer = {};
+  for (let i = 0; i < 365; i++) {
+    older[window.shiftDayKey('2024-01-01', i)] = 60;
+    newer[window.shiftDayKey('2025-01-01', i)] = 60;
+  }
+
+  const merged = window.mergeProgress(progressWith({ activity: newer }), progressWith({ activity: older }));
+  assert.deepEqual(plain(Object.keys(merged.activity).sort()), Object.keys(newer).sort());
+});
+
+test('the timeline lists days oldest first and pages by their latest visit that day', () => {
+  const progress = progressWith({
+    activity: { '2026-10-18': 600 },
+    pages: {
+      A: { visits: [at('2026-10-18', '09:00').toISOString(), at('2026-10-18', '18:00').toISOString()] },
+      B: { visits: [at('2026-10-18', '12:00').toISOString()] },
+      C: { visits: [at('2026-10-18', '15:00').toISOString(), at('2026-10-19', '07:00').toISOString()] }
+    }
+  });
+
+  const timeline = window.getReadingTimeline(progress, 3, at('2026-10-19', '08:00'));
+  assert.deepEqual(plain(timeline).map(entry => entry.day), ['2026-10-17', '2026-10-18', '2026-10-19']);
+  assert.deepEqual(plain(timeline).map(entry => entry.seconds), [0, 600, 0]);
+  assert.deepEqual(plain(timeline[1].pages), ['A', 'C', 'B']);
+  assert.deepEqual(plain(timeline[2].pages), ['C']);
+});
+
+test('time per category keeps the time of pages reset for rereading', () => {
+  const progress = progressWith({
+    pages: {
+      // Updated since it was read: engagement starts over, its history stays
+      Getting_Started: { state: 'skimmed', activeSeconds: 0, readingSeconds: 300 },
+      // Saved before readingSeconds existed
+      Your_First_Project: { state: 'read', activeSeconds: 120 }
+    }
+  });
+
+  const guides = plain(window.getCategoryReadingTime(progress)).find(category => category.key === 'guides');
+  assert.equal(guides.seconds, 420);
+
+  const merged = window.mergePageRecords(progress.pages.Getting_Started, { state: 'read', activeSeconds: 200 });
+  assert.equal(merged.readingSeconds, 300);
+  assert.equal(merged.activeSeconds, 200);
+});
+
+test('time read in this tab is counted when another tab saved more for the page', async () => {
+  const path = window.getCurrentPagePath();
+  const today = window.getDayKey(new Date());
+
+  // The other tab has been open longer and saved its time first
+  const progress = window.getProgress();
+  Object.assign(window.getPageRecord(progress, path), { activeSeconds: 500, readingSeconds: 500 });
+  progress.activity[today] = 500;
+  window.saveProgress(progress);
+
+  await wait(2500);
+  window.flushReadingSession();
+
+  let saved = window.getProgress();
+  const booked = saved.activity[today] - 500;
+  assert.ok(booked >= 1, 'this tab\'s seconds are added to the day');
+  assert.equal(window.getPageRecord(saved, path).activeSeconds, 500, 'the page keeps the longest time');
+  assert.equal(window.getPageRecord(saved, path).readingSeconds, 500 + booked, 'its lifetime time adds up every tab');
+
+  // Saving again books nothing twice
+  window.flushReadingSession();
+  saved = window.getProgress();
+  assert.ok(saved.activity[today] - 500 <= booked + 1);
+});
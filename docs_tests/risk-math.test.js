@@ -0,0 +1,113 @@
+// Risk calculator math (docs/javascripts/risk-math.js) against MT5Sugar's
+// CalcVolumeForRiskAsync + NormalizeVolumeAsync
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roundHalfToEven, calculateRiskVolume } = require('../docs/javascripts/risk-math.js');
+
+// EURUSD-like symbol: 1 point = 1 tick = $1 per lot
+const EURUSD = {
+  balance: 10000,
+  riskPercent: 1,
+  slPoints: 50,
+  point: 0.00001,
+  tickSize: 0.00001,
+  tickValue: 1,
+  volumeMin: 0.01,
+  volumeStep: 0.01,
+  volumeMax: 100
+};
+
+function calculate(overrides) {
+  return calculateRiskVolume(Object.assign({}, EURUSD, overrides));
+}
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('sizes a plain EURUSD trade', () => {
+  const result = calculate({});
+  assert.equal(result.riskMoney, 100);
+  assertClose(result.lossPerLot, 50);
+  assertClose(result.volume, 2);
+  assert.equal(result.clamped, null);
+  assertClose(result.actualRisk, 100);
+});
+
+test('rejects a zero or negative stop loss', () => {
+  assert.deepEqual(calculate({ slPoints: 0 }), { error: 'slPoints' });
+  assert.deepEqual(calculate({ slPoints: -10 }), { error: 'slPoints' });
+});
+
+test('rejects a tick size of 0', () => {
+  assert.deepEqual(calculate({ tickSize: 0 }), { error: 'tickSize' });
+});
+
+test('rejects nothing at risk and a zero loss per lot', () => {
+  assert.deepEqual(calculate({ riskPercent: 0 }), { error: 'riskMoney' });
+  assert.deepEqual(calculate({ tickValue: 0 }), { error: 'lossPerLot' });
+});
+
+test('reports the first field that is not a number', () => {
+  assert.deepEqual(calculate({ point: NaN, volumeMax: NaN }), { error: 'notNumber', field: 'point' });
+  assert.deepEqual(calculate({ balance: Infinity }), { error: 'notNumber', field: 'balance' });
+});
+
+test('raises a volume below min to min and flags it', () => {
+  // $0.10 at risk over 50 points is 0.002 lots
+  const result = calculate({ balance: 10 });
+  assertClose(result.rawVolume, 0.002);
+  assertClose(result.volume, 0.01);
+  assert.equal(result.clamped, 'min');
+  assertClose(result.actualRisk, 0.5);
+});
+
+test('clamps a volume above max to max and flags it', () => {
+  const result = calculate({ balance: 10000000, volumeMax: 50 });
+  assertClose(result.rawVolume, 2000);
+  assert.equal(result.volume, 50);
+  assert.equal(result.clamped, 'max');
+});
+
+test('rounds .5 ties in steps to the even neighbour like .NET Math.Round', () => {
+  assert.equal(roundHalfToEven(0.5), 0);
+  assert.equal(roundHalfToEven(1.5), 2);
+  assert.equal(roundHalfToEven(2.5), 2);
+  assert.equal(roundHalfToEven(-1.5), -2);
+  assert.equal(roundHalfToEven(-2.5), -2);
+  assert.equal(roundHalfToEven(2.4999), 2);
+  assert.equal(roundHalfToEven(2.5001), 3);
+
+  // Step 0.25 from 0: raw 0.375 is 1.5 steps -> 2, raw 0.625 is 2.5 steps -> 2
+  const base = { volumeMin: 0, volumeStep: 0.25, slPoints: 100, point: 1, tickSize: 1, tickValue: 1 };
+  const up = calculate(Object.assign({}, base, { balance: 3750 }));
+  assert.equal(up.rawVolume, 0.375);
+  assert.equal(up.steps, 2);
+  assert.equal(up.volume, 0.5);
+
+  const down = calculate(Object.assign({}, base, { balance: 6250 }));
+  assert.equal(down.rawVolume, 0.625);
+  assert.equal(down.steps, 2);
+  assert.equal(down.volume, 0.5);
+});
+
+test('snaps to a non-decimal step such as 0.03 counted from min', () => {
+  // min 0.01 + n * 0.03: 0.01, 0.04, 0.07, 0.10, 0.13 ...
+  const result = calculate({ balance: 550, volumeStep: 0.03 });
+  assertClose(result.rawVolume, 0.11);
+  assert.equal(result.steps, 3);
+  assertClose(result.volume, 0.1);
+
+  const next = calculate({ balance: 600, volumeStep: 0.03 });
+  assertClose(next.rawVolume, 0.12);
+  assert.equal(next.steps, 4);
+  assertClose(next.volume, 0.13);
+});
+
+test('falls back to a 0.01 step when the broker reports none', () => {
+  const result = calculate({ balance: 12345, volumeStep: 0 });
+  assert.equal(result.stepFallback, true);
+  assert.equal(result.step, 0.01);
+  assertClose(result.volume, 2.47);
+});